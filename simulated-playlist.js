@@ -0,0 +1,684 @@
+/**
+ * Simulated YouTube Music playlist page
+ * Lets youtube-music-auto-like.js run under Node against a DOM that behaves like the real page
+ *
+ * Usage: build a DOM window (e.g. with jsdom), fill it with createSimulatedPlaylist() and hand the
+ * window, a SimulatedClock and a seeded random source to new YouTubeMusicAutoLike(options, environment)
+ *
+ * Simulates:
+ * - Playlist header with the declared track count and duration, and a shelf with song rows
+ *   (watch link, title, artists, album, duration, explicit badge, greyed out when unavailable)
+ * - Liked / disliked / unrated rows whose rating flips when a button is clicked
+ * - Lazy loading: a continuation item at the bottom that loads the next page once scrolled into view,
+ *   optionally missing now and then while more rows are still to come
+ * - Row menus: add to queue, save to a playlist (with the playlist picker and the duplicate dialog),
+ *   save to / remove from the library, each confirmed by a toast
+ * - Collaborators editing the playlist: tracks added, removed or moved, shown after a reload
+ * - Rejected clicks: error toasts, a sign-in dialog, or clicks that are silently ignored
+ * - The player queue instead of a playlist: queue items with a menu but no rating buttons, and the
+ *   playing song's rating buttons in the player bar
+ * - Virtual time, so delays, breaks and timeouts pass instantly and in a fixed order
+ */
+
+// Button, menu and toast labels per UI language, matching the built-in selector profiles
+const SIMULATED_LABELS = {
+    en: {
+        like: 'Like', dislike: 'Dislike', explicit: 'Explicit', tracks: 'songs', hours: 'hours', minutes: 'minutes',
+        menu: 'Action menu', addToQueue: 'Add to queue', saveToPlaylist: 'Save to playlist',
+        saveToLibrary: 'Save to library', removeFromLibrary: 'Remove from library',
+        addedToQueue: 'Song added to queue', savedToPlaylist: 'Saved to {name}', savedToLibrary: 'Added to library',
+        duplicate: 'This song is already in {name}. Add anyway?'
+    },
+    de: {
+        like: 'Mag ich', dislike: 'Mag ich nicht', explicit: 'Explizit', tracks: 'Titel', hours: 'Std.', minutes: 'Min.',
+        menu: 'Aktionsmenü', addToQueue: 'Zur Warteschlange hinzufügen', saveToPlaylist: 'In Playlist speichern',
+        saveToLibrary: 'In Mediathek speichern', removeFromLibrary: 'Aus Mediathek entfernen',
+        addedToQueue: 'Titel zur Warteschlange hinzugefügt', savedToPlaylist: 'Gespeichert in {name}', savedToLibrary: 'Zur Mediathek hinzugefügt',
+        duplicate: 'Dieser Titel ist bereits in {name}. Trotzdem hinzufügen?'
+    },
+    es: {
+        like: 'Me gusta', dislike: 'No me gusta', explicit: 'Explícito', tracks: 'canciones', hours: 'horas', minutes: 'minutos',
+        menu: 'Menú de acciones', addToQueue: 'Añadir a la cola', saveToPlaylist: 'Guardar en una playlist',
+        saveToLibrary: 'Guardar en la biblioteca', removeFromLibrary: 'Quitar de la biblioteca',
+        addedToQueue: 'Canción añadida a la cola', savedToPlaylist: 'Guardada en {name}', savedToLibrary: 'Añadida a la biblioteca',
+        duplicate: 'Esta canción ya está en {name}. ¿Añadirla de todos modos?'
+    },
+    ja: {
+        like: '高く評価', dislike: '低く評価', explicit: '露骨な表現', tracks: '曲', hours: '時間', minutes: '分',
+        menu: '操作メニュー', addToQueue: 'キューに追加', saveToPlaylist: '再生リストに保存',
+        saveToLibrary: 'ライブラリに保存', removeFromLibrary: 'ライブラリから削除',
+        addedToQueue: '曲をキューに追加しました', savedToPlaylist: '{name} に保存しました', savedToLibrary: 'ライブラリに追加しました',
+        duplicate: 'この曲はすでに {name} にあります。追加しますか？'
+    }
+};
+
+// How a rejected click shows up on the page
+const FAILURE_KINDS = ['toast', 'sign-in', 'ignore'];
+
+// Fake clock with the same shape as SYSTEM_CLOCK; time only moves when advance() or runUntil() says so
+class SimulatedClock {
+    constructor(start = Date.UTC(2024, 0, 1, 12)) {
+        this.time = start;
+        this.timers = new Map();
+        this.nextId = 1;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    setTimeout(callback, ms = 0) {
+        return this.schedule(callback, ms, null);
+    }
+
+    setInterval(callback, ms = 0) {
+        return this.schedule(callback, ms, Math.max(1, ms || 0));
+    }
+
+    clearTimeout(id) {
+        this.timers.delete(id);
+    }
+
+    clearInterval(id) {
+        this.timers.delete(id);
+    }
+
+    schedule(callback, ms, interval) {
+        const id = this.nextId++;
+        this.timers.set(id, { id, at: this.time + Math.max(0, ms || 0), callback, interval });
+        return id;
+    }
+
+    // Number of timers still waiting to fire
+    get pending() {
+        return this.timers.size;
+    }
+
+    // Earliest timer; ties fire in the order they were scheduled
+    nextTimer() {
+        let next = null;
+        for (const timer of this.timers.values()) {
+            if (!next || timer.at < next.at || (timer.at === next.at && timer.id < next.id)) {
+                next = timer;
+            }
+        }
+        return next;
+    }
+
+    fire(timer) {
+        this.time = Math.max(this.time, timer.at);
+        if (timer.interval) {
+            timer.at = this.time + timer.interval;
+        } else {
+            this.timers.delete(timer.id);
+        }
+        timer.callback();
+    }
+
+    // Move time forward, firing every timer that falls due on the way (synchronously)
+    advance(ms) {
+        const target = this.time + ms;
+        let next = this.nextTimer();
+        while (next && next.at <= target) {
+            this.fire(next);
+            next = this.nextTimer();
+        }
+        this.time = target;
+    }
+
+    // Fire timers one at a time, letting promises and mutation observers settle in between,
+    // until the given promise settles; returns its value or rethrows its error
+    async runUntil(promise, { maxTime = 24 * 60 * 60 * 1000 } = {}) {
+        let settled = false;
+        let failed = false;
+        let value;
+        promise.then(
+            result => { settled = true; value = result; },
+            error => { settled = true; failed = true; value = error; }
+        );
+
+        const deadline = this.time + maxTime;
+        await flushMicrotasks();
+        while (!settled) {
+            const next = this.nextTimer();
+            if (!next) {
+                throw new Error('Simulated clock ran out of timers while the promise was still pending');
+            }
+            if (next.at > deadline) {
+                throw new Error(`Promise still pending after ${maxTime}ms of simulated time`);
+            }
+            this.fire(next);
+            await flushMicrotasks();
+        }
+
+        if (failed) throw value;
+        return value;
+    }
+}
+
+// Let queued promise callbacks and mutation observer records run
+function flushMicrotasks() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+// Small deterministic random source (mulberry32) returning floats in [0, 1) like Math.random
+function createSeededRandom(seed = 1) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// A playlist page rendered into a caller-provided DOM window
+class SimulatedPlaylist {
+    constructor(window, options = {}) {
+        this.window = window;
+        this.document = window.document;
+        this.options = {
+            playlistId: options.playlistId || 'PLsimulated',
+            page: options.page || 'playlist',                // 'playlist', or 'queue' for the player page with its queue
+            title: options.title || 'Simulated Playlist',
+            tracks: options.tracks !== undefined ? options.tracks : 50,
+            pageSize: options.pageSize || 100,              // Rows per page, like YouTube Music's continuations
+            declaredTracks: options.declaredTracks,         // Track count shown in the header; the number of tracks if not set
+            flakyContinuations: options.flakyContinuations || 0, // Pages after which the continuation item is missing although more rows follow
+            loadDelay: options.loadDelay !== undefined ? options.loadDelay : 300, // Time a continuation takes to load
+            lang: options.lang || 'en',
+            labels: options.labels || null,                 // Own button labels instead of the built-in table
+            toastDuration: options.toastDuration || 3000,   // How long an error toast stays on screen
+            playlists: options.playlists || ['Favorites'],  // The user's playlists offered by "Save to playlist"
+            clock: options.clock || null                    // Clock for loading and toasts; the page's timers if not set
+        };
+
+        this.labels = this.options.labels || SIMULATED_LABELS[this.options.lang] || SIMULATED_LABELS.en;
+        this.clock = this.options.clock || {
+            setTimeout: (callback, ms) => window.setTimeout(callback, ms),
+            clearTimeout: id => window.clearTimeout(id)
+        };
+
+        const specs = typeof this.options.tracks === 'number'
+            ? Array.from({ length: this.options.tracks }, (_, index) => ({ index }))
+            : this.options.tracks;
+        this.tracks = specs.map((spec, index) => this.createTrack(spec, index));
+        // Numbers new tracks so their default videoIds never repeat one used before
+        this.createdCount = this.tracks.length;
+        this.failures = new Map(Object.entries(options.failures || {}));
+        this.loadedCount = 0;
+        this.isLoading = false;
+        this.flakyContinuationsLeft = this.options.flakyContinuations;
+        this.clicks = [];
+        this.toastTimer = null;
+        this.queue = [];
+        this.library = new Set(this.tracks.filter(track => track.inLibrary).map(track => track.videoId));
+        this.playlists = new Map(this.options.playlists.map(name => [name, []]));
+        this.menuTrack = null;
+
+        // Escape closes whatever menu or dialog is open
+        this.document.addEventListener('keydown', event => {
+            if (event.key === 'Escape') this.closeOverlays();
+        });
+        this.render();
+    }
+
+    // Fill in anything a track spec leaves out
+    createTrack(spec, index) {
+        const number = index + 1;
+        return {
+            videoId: spec.videoId || `sim${String(number).padStart(8, '0')}`,
+            title: spec.title || `Track ${number}`,
+            artists: spec.artists || [`Artist ${(index % 5) + 1}`],
+            album: spec.album !== undefined ? spec.album : `Album ${(index % 3) + 1}`,
+            duration: spec.duration || 150 + (index * 17) % 150,
+            explicit: !!spec.explicit,
+            unavailable: !!spec.unavailable,
+            likeState: spec.likeState || 'none',
+            inLibrary: !!spec.inLibrary
+        };
+    }
+
+    // Build the page: URL, language, header, shelf with the first page of rows, toast and dialog
+    render() {
+        const doc = this.document;
+        const isQueue = this.options.page === 'queue';
+        const playing = this.tracks[0];
+        this.window.history.replaceState({}, '', isQueue && playing
+            ? `/watch?v=${playing.videoId}&list=${this.options.playlistId}`
+            : `/playlist?list=${this.options.playlistId}`);
+        doc.documentElement.lang = this.options.lang;
+        doc.title = `${this.options.title} - YouTube Music`;
+
+        // DOMs without layout (jsdom) have no scrollIntoView; nothing moves, so a no-op will do
+        if (!this.window.Element.prototype.scrollIntoView) {
+            this.window.Element.prototype.scrollIntoView = function () {};
+        }
+
+        const main = isQueue ? `
+                    <div id="side-panel">
+                        <ytmusic-player-queue>
+                            <div id="contents"></div>
+                        </ytmusic-player-queue>
+                    </div>
+                    <ytmusic-player-bar>${playing ? this.getRatingMarkup() : ''}</ytmusic-player-bar>` : `
+                    <ytmusic-browse-response>
+                        <ytmusic-responsive-header-renderer>
+                            <h1>${escapeHTML(this.options.title)}</h1>
+                            <yt-formatted-string class="second-subtitle">${escapeHTML(this.getHeaderLine())}</yt-formatted-string>
+                        </ytmusic-responsive-header-renderer>
+                        <ytmusic-section-list-renderer>
+                            <ytmusic-playlist-shelf-renderer>
+                                <div id="contents"></div>
+                            </ytmusic-playlist-shelf-renderer>
+                        </ytmusic-section-list-renderer>
+                    </ytmusic-browse-response>`;
+
+        doc.body.innerHTML = `
+            <ytmusic-app>
+                <ytmusic-app-layout id="layout">${main}
+                </ytmusic-app-layout>
+            </ytmusic-app>
+            <tp-yt-iron-dropdown id="menu" aria-hidden="true">
+                <ytmusic-menu-popup-renderer><div id="items"></div></ytmusic-menu-popup-renderer>
+            </tp-yt-iron-dropdown>
+            <tp-yt-paper-dialog id="picker" aria-hidden="true">
+                <ytmusic-add-to-playlist-renderer><div id="playlists"></div></ytmusic-add-to-playlist-renderer>
+            </tp-yt-paper-dialog>
+            <tp-yt-paper-toast id="toast" aria-hidden="true"></tp-yt-paper-toast>`;
+
+        this.contents = doc.querySelector(isQueue ? 'ytmusic-player-queue #contents' : 'ytmusic-playlist-shelf-renderer #contents');
+        this.contents.addEventListener('click', event => this.handleClick(event));
+        this.playerBar = doc.querySelector('ytmusic-player-bar');
+        if (this.playerBar && playing) {
+            this.playerBar.dataset.videoId = playing.videoId;
+            this.playerBar.addEventListener('click', event => this.handleClick(event));
+            this.updateRating(this.playerBar, playing);
+        }
+        this.menu = doc.querySelector('tp-yt-iron-dropdown#menu');
+        this.menu.addEventListener('click', event => this.handleMenuClick(event));
+        this.picker = doc.querySelector('tp-yt-paper-dialog#picker');
+        this.picker.addEventListener('click', event => this.handlePickerClick(event));
+        this.appendPage();
+    }
+
+    // Render the page again from the first page of rows, as after a reload
+    reload() {
+        this.loadedCount = 0;
+        this.isLoading = false;
+        this.flakyContinuationsLeft = this.options.flakyContinuations;
+        this.menuTrack = null;
+        this.render();
+    }
+
+    // Insert tracks (specs as in the tracks option) before the given 0-based position, at the end by default
+    addTracks(specs, position = this.tracks.length) {
+        const tracks = specs.map(spec => this.createTrack(spec, this.createdCount++));
+        this.tracks.splice(position, 0, ...tracks);
+        this.reload();
+        return tracks.map(track => track.videoId);
+    }
+
+    removeTracks(videoIds) {
+        this.tracks = this.tracks.filter(track => !videoIds.includes(track.videoId));
+        this.reload();
+    }
+
+    // Move a track to a 0-based position
+    moveTrack(videoId, position) {
+        const track = this.getTrack(videoId);
+        this.tracks.splice(this.tracks.indexOf(track), 1);
+        this.tracks.splice(position, 0, track);
+        this.reload();
+    }
+
+    // "250 songs • 11 hours, 5 minutes", with YouTube Music's "7+ hours" rounding for long lists
+    getHeaderLine() {
+        const count = this.options.declaredTracks !== undefined ? this.options.declaredTracks : this.tracks.length;
+        const total = this.tracks.reduce((sum, track) => sum + track.duration, 0);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const { tracks, hours: hoursLabel, minutes: minutesLabel } = this.labels;
+
+        let duration = `${minutes} ${minutesLabel}`;
+        if (hours >= 7) {
+            duration = `${hours}+ ${hoursLabel}`;
+        } else if (hours > 0) {
+            duration = `${hours} ${hoursLabel}, ${minutes} ${minutesLabel}`;
+        }
+        return `${count.toLocaleString('en-US')} ${tracks} • ${duration}`;
+    }
+
+    // Attach the next page of rows, plus a continuation item while more are left
+    appendPage() {
+        const end = Math.min(this.tracks.length, this.loadedCount + this.options.pageSize);
+        for (let index = this.loadedCount; index < end; index++) {
+            this.contents.appendChild(this.createRow(this.tracks[index]));
+        }
+        this.loadedCount = end;
+
+        if (this.loadedCount < this.tracks.length && this.flakyContinuationsLeft > 0) {
+            // No continuation this time; scrolling to the bottom again still loads the next page
+            this.flakyContinuationsLeft--;
+            let scrolls = 0;
+            this.contents.lastElementChild.scrollIntoView = () => {
+                scrolls++;
+                if (scrolls > 1) this.loadMore();
+            };
+        } else if (this.loadedCount < this.tracks.length) {
+            const continuation = this.document.createElement('ytmusic-continuation-item-renderer');
+            // Scrolling the item into view is what makes YouTube Music fetch the next page
+            continuation.scrollIntoView = () => this.loadMore();
+            this.contents.appendChild(continuation);
+        }
+    }
+
+    // Load the next page after loadDelay, as if the continuation request had come back
+    loadMore() {
+        if (this.isLoading || this.loadedCount >= this.tracks.length) return false;
+        this.isLoading = true;
+        this.clock.setTimeout(() => {
+            const continuation = this.contents.querySelector('ytmusic-continuation-item-renderer');
+            if (continuation) continuation.remove();
+            this.isLoading = false;
+            this.appendPage();
+        }, this.options.loadDelay);
+        return true;
+    }
+
+    // Like and dislike buttons, as on song rows and in the player bar
+    getRatingMarkup() {
+        return `
+            <ytmusic-like-button-renderer>
+                <span id="button-shape-dislike"><button aria-label="${escapeHTML(this.labels.dislike)}"></button></span>
+                <span id="button-shape-like"><button aria-label="${escapeHTML(this.labels.like)}"></button></span>
+            </ytmusic-like-button-renderer>`;
+    }
+
+    getMenuMarkup() {
+        return `
+            <ytmusic-menu-renderer>
+                <yt-button-shape><button aria-label="${escapeHTML(this.labels.menu)}"></button></yt-button-shape>
+            </ytmusic-menu-renderer>`;
+    }
+
+    // Markup of one song row, shaped like YouTube Music's responsive list items
+    createRow(track) {
+        if (this.options.page === 'queue') {
+            return this.createQueueItem(track);
+        }
+
+        const row = this.document.createElement('ytmusic-responsive-list-item-renderer');
+        if (track.unavailable) {
+            row.setAttribute('unplayable_', '');
+            row.setAttribute('aria-disabled', 'true');
+        }
+        const minutes = Math.floor(track.duration / 60);
+        const seconds = String(track.duration % 60).padStart(2, '0');
+        const artists = track.artists.map(name => `<a href="channel/${encodeURIComponent(name)}">${escapeHTML(name)}</a>`).join(', ');
+
+        row.innerHTML = `
+            <div class="title-column">
+                <yt-formatted-string class="title" title="${escapeHTML(track.title)}">
+                    <a href="watch?v=${track.videoId}&amp;list=${this.options.playlistId}">${escapeHTML(track.title)}</a>
+                </yt-formatted-string>
+            </div>
+            <div class="secondary-flex-columns">
+                <yt-formatted-string class="flex-column">${artists}</yt-formatted-string>
+                ${track.album ? `<yt-formatted-string class="flex-column" title="${escapeHTML(track.album)}">${escapeHTML(track.album)}</yt-formatted-string>` : ''}
+            </div>
+            ${track.explicit ? `<div class="badges"><yt-icon aria-label="${escapeHTML(this.labels.explicit)}"></yt-icon></div>` : ''}
+            <div class="fixed-columns">
+                <yt-formatted-string class="fixed-column" title="${minutes}:${seconds}">${minutes}:${seconds}</yt-formatted-string>
+            </div>
+            ${this.getRatingMarkup()}
+            ${this.getMenuMarkup()}`;
+
+        row.dataset.videoId = track.videoId;
+        this.updateRating(row, track);
+        return row;
+    }
+
+    // Queue items carry the videoId in their thumbnail, show "Artist • Album" in one byline and
+    // have no rating buttons; the first one is playing
+    createQueueItem(track) {
+        const row = this.document.createElement('ytmusic-player-queue-item');
+        if (track === this.tracks[0]) {
+            row.setAttribute('selected', '');
+        }
+        const minutes = Math.floor(track.duration / 60);
+        const seconds = String(track.duration % 60).padStart(2, '0');
+        const byline = [track.artists.join(', '), track.album].filter(Boolean).join(' • ');
+
+        row.innerHTML = `
+            <img src="https://i.ytimg.com/vi/${track.videoId}/sddefault.jpg" alt="">
+            <yt-formatted-string class="song-title" title="${escapeHTML(track.title)}">${escapeHTML(track.title)}</yt-formatted-string>
+            <yt-formatted-string class="byline" title="${escapeHTML(byline)}">${escapeHTML(byline)}</yt-formatted-string>
+            <yt-formatted-string class="duration" title="${minutes}:${seconds}">${minutes}:${seconds}</yt-formatted-string>
+            ${this.getMenuMarkup()}`;
+
+        row.dataset.videoId = track.videoId;
+        return row;
+    }
+
+    // Mirror the track's rating in like-status and aria-pressed, as the real buttons do
+    updateRating(row, track) {
+        const renderer = row.querySelector('ytmusic-like-button-renderer');
+        const statuses = { liked: 'LIKE', disliked: 'DISLIKE', none: 'INDIFFERENT' };
+        renderer.setAttribute('like-status', statuses[track.likeState]);
+        renderer.querySelector('#button-shape-like button').setAttribute('aria-pressed', String(track.likeState === 'liked'));
+        renderer.querySelector('#button-shape-dislike button').setAttribute('aria-pressed', String(track.likeState === 'disliked'));
+    }
+
+    // A rating button (on a row or in the player bar) was clicked: toggle the rating unless this track
+    // is set up to fail. A menu button opens the row's menu
+    handleClick(event) {
+        const menuButton = event.target.closest('ytmusic-menu-renderer button');
+        if (menuButton) {
+            this.openMenu(this.getTrack(menuButton.closest('[data-video-id]').dataset.videoId));
+            return;
+        }
+
+        const button = event.target.closest('ytmusic-like-button-renderer button');
+        if (!button) return;
+
+        const row = button.closest('[data-video-id]');
+        const track = this.getTrack(row.dataset.videoId);
+        const isLike = !!button.closest('#button-shape-like');
+        const failure = this.failures.get(track.videoId) || null;
+        this.clicks.push({ videoId: track.videoId, button: isLike ? 'like' : 'dislike', failure });
+
+        if (this.fail(failure)) return;
+
+        const target = isLike ? 'liked' : 'disliked';
+        track.likeState = track.likeState === target ? 'none' : target;
+        this.updateRating(row, track);
+    }
+
+    // Play out a configured failure; true when the action must not go through
+    fail(failure) {
+        if (failure === 'toast') {
+            this.showToast('Something went wrong. Please try again.');
+        } else if (failure === 'sign-in') {
+            this.openSignInDialog();
+        }
+        return FAILURE_KINDS.includes(failure);
+    }
+
+    // Show the row menu for a track, with "Remove from library" once it is saved there
+    openMenu(track) {
+        const { labels } = this;
+        const entries = [
+            ['ytmusic-menu-service-item-renderer', 'addToQueue', labels.addToQueue],
+            ['ytmusic-menu-navigation-item-renderer', 'saveToPlaylist', labels.saveToPlaylist],
+            this.library.has(track.videoId)
+                ? ['ytmusic-toggle-menu-service-item-renderer', 'removeFromLibrary', labels.removeFromLibrary]
+                : ['ytmusic-toggle-menu-service-item-renderer', 'saveToLibrary', labels.saveToLibrary]
+        ];
+
+        this.menuTrack = track;
+        this.menu.querySelector('#items').innerHTML = entries
+            .map(([tag, action, label]) => `<${tag} data-action="${action}"><yt-formatted-string>${escapeHTML(label)}</yt-formatted-string></${tag}>`)
+            .join('');
+        this.openOverlay(this.menu);
+    }
+
+    // A menu entry was clicked: queue or library changes happen right away, saving to a playlist opens the picker
+    handleMenuClick(event) {
+        const item = event.target.closest('[data-action]');
+        if (!item || !this.menuTrack) return;
+
+        const track = this.menuTrack;
+        const { action } = item.dataset;
+        const failure = this.failures.get(track.videoId) || null;
+        this.clicks.push({ videoId: track.videoId, button: action, failure });
+        this.closeOverlays();
+
+        if (action === 'saveToPlaylist') {
+            this.picker.querySelector('#playlists').innerHTML = Array.from(this.playlists.keys())
+                .map(name => `<ytmusic-playlist-add-to-option-renderer><button><yt-formatted-string id="title">${escapeHTML(name)}</yt-formatted-string></button></ytmusic-playlist-add-to-option-renderer>`)
+                .join('');
+            this.openOverlay(this.picker);
+            return;
+        }
+
+        if (this.fail(failure)) return;
+
+        if (action === 'addToQueue') {
+            this.queue.push(track.videoId);
+            this.showToast(this.labels.addedToQueue);
+        } else if (action === 'saveToLibrary') {
+            this.library.add(track.videoId);
+            this.showToast(this.labels.savedToLibrary);
+        } else if (action === 'removeFromLibrary') {
+            this.library.delete(track.videoId);
+        }
+    }
+
+    // A playlist was picked: add the track, or ask first when it is already in there
+    handlePickerClick(event) {
+        const option = event.target.closest('ytmusic-playlist-add-to-option-renderer');
+        if (!option || !this.menuTrack) return;
+
+        const track = this.menuTrack;
+        const name = option.querySelector('#title').textContent.trim();
+        this.closeOverlays();
+
+        if (this.fail(this.failures.get(track.videoId) || null)) return;
+
+        const songs = this.playlists.get(name);
+        if (songs.includes(track.videoId)) {
+            this.openDuplicateDialog(track, name);
+            return;
+        }
+        songs.push(track.videoId);
+        this.showToast(this.labels.savedToPlaylist.replace('{name}', name));
+    }
+
+    // "Already in the playlist" confirmation; cancel leaves it as it is, confirm adds the song again
+    openDuplicateDialog(track, name) {
+        const dialog = this.document.createElement('tp-yt-paper-dialog');
+        dialog.setAttribute('opened', '');
+        dialog.innerHTML = `
+            <ytmusic-confirm-dialog-renderer>
+                <div class="content">${escapeHTML(this.labels.duplicate.replace('{name}', name))}</div>
+                <yt-button-renderer id="cancel-button"><button>Cancel</button></yt-button-renderer>
+                <yt-button-renderer id="confirm-button"><button>Add</button></yt-button-renderer>
+            </ytmusic-confirm-dialog-renderer>`;
+        dialog.querySelector('#cancel-button button').addEventListener('click', () => dialog.remove());
+        dialog.querySelector('#confirm-button button').addEventListener('click', () => {
+            dialog.remove();
+            this.playlists.get(name).push(track.videoId);
+            this.showToast(this.labels.savedToPlaylist.replace('{name}', name));
+        });
+        this.document.body.appendChild(dialog);
+    }
+
+    openOverlay(overlay) {
+        overlay.setAttribute('opened', '');
+        overlay.setAttribute('aria-hidden', 'false');
+    }
+
+    closeOverlays() {
+        [this.menu, this.picker].forEach(overlay => {
+            overlay.removeAttribute('opened');
+            overlay.setAttribute('aria-hidden', 'true');
+        });
+        this.document.querySelectorAll('ytmusic-confirm-dialog-renderer').forEach(dialog => dialog.closest('tp-yt-paper-dialog').remove());
+    }
+
+    // Make clicks on a track fail: 'toast', 'sign-in' or 'ignore'; null accepts them again
+    setFailure(videoId, kind) {
+        if (kind === null) {
+            this.failures.delete(videoId);
+            return;
+        }
+        if (!FAILURE_KINDS.includes(kind)) {
+            throw new Error(`Unknown failure "${kind}". Use one of: ${FAILURE_KINDS.join(', ')}`);
+        }
+        this.failures.set(videoId, kind);
+    }
+
+    // Show the notification toast for toastDuration
+    showToast(text) {
+        const toast = this.document.querySelector('tp-yt-paper-toast#toast');
+        toast.textContent = text;
+        toast.setAttribute('opened', '');
+        toast.setAttribute('aria-hidden', 'false');
+
+        this.clock.clearTimeout(this.toastTimer);
+        this.toastTimer = this.clock.setTimeout(() => {
+            toast.removeAttribute('opened');
+            toast.setAttribute('aria-hidden', 'true');
+        }, this.options.toastDuration);
+    }
+
+    // The dialog YouTube Music shows signed-out users who try to rate a song
+    openSignInDialog() {
+        if (this.document.querySelector('ytmusic-modal-with-title-and-button-renderer')) return;
+        const dialog = this.document.createElement('ytmusic-modal-with-title-and-button-renderer');
+        dialog.setAttribute('opened', '');
+        dialog.textContent = 'Sign in to rate songs';
+        this.document.body.appendChild(dialog);
+    }
+
+    getTrack(videoId) {
+        return this.tracks.find(track => track.videoId === videoId) || null;
+    }
+
+    // videoIds of tracks currently in the given state ('liked', 'disliked' or 'none')
+    idsInState(likeState) {
+        return this.tracks.filter(track => track.likeState === likeState).map(track => track.videoId);
+    }
+
+    likedIds() {
+        return this.idsInState('liked');
+    }
+
+    // videoIds in the named playlist, in the order they were added
+    playlistIds(name) {
+        return (this.playlists.get(name) || []).slice();
+    }
+}
+
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Render a simulated playlist into the window and return its controller
+function createSimulatedPlaylist(window, options = {}) {
+    return new SimulatedPlaylist(window, options);
+}
+
+module.exports = {
+    SimulatedClock,
+    SimulatedPlaylist,
+    createSimulatedPlaylist,
+    createSeededRandom,
+    SIMULATED_LABELS
+};
@@ -0,0 +1,497 @@
+// Runs the script against the simulated playlist page: npm test
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { YouTubeMusicAutoLike } = require('../youtube-music-auto-like.js');
+const { SimulatedClock, createSimulatedPlaylist, createSeededRandom } = require('../simulated-playlist.js');
+
+// A fresh page, clock and auto-liker for every test; nothing is kept in localStorage
+function setUp(pageOptions = {}, config = {}) {
+    const { window } = new JSDOM('<!doctype html><html><body></body></html>', { url: 'https://music.youtube.com/' });
+    const clock = new SimulatedClock();
+    const page = createSimulatedPlaylist(window, { clock, ...pageOptions });
+    const autoLiker = new YouTubeMusicAutoLike({ logLevel: 'error', ...config }, {
+        window, clock, random: createSeededRandom(42), storage: null
+    });
+    return { window, clock, page, autoLiker };
+}
+
+test('likes every track of a playlist loaded over several continuations', async () => {
+    const tracks = Array.from({ length: 60 }, (_, index) => ({ likeState: index < 3 ? 'liked' : 'none' }));
+    const { clock, page, autoLiker } = setUp({ tracks, pageSize: 25 });
+
+    const result = await clock.runUntil(autoLiker.start());
+
+    assert.strictEqual(result.endReason, 'completed');
+    assert.strictEqual(page.loadedCount, 60);
+    assert.strictEqual(page.likedIds().length, 60);
+    assert.strictEqual(result.counts.uniqueTracks, 60);
+    assert.strictEqual(result.counts.totalActions, 57);
+    assert.strictEqual(result.counts.alreadyDone, 3);
+    assert.strictEqual(result.coverage.declaredTracks, 60);
+    assert.strictEqual(result.coverage.ratio, 1);
+});
+
+test('keeps scrolling when the continuation item is missing before the declared count is reached', async () => {
+    const { clock, page, autoLiker } = setUp({ tracks: 30, pageSize: 10, flakyContinuations: 1 });
+
+    const result = await clock.runUntil(autoLiker.start());
+
+    assert.strictEqual(result.endReason, 'completed');
+    assert.strictEqual(page.loadedCount, 30);
+    assert.strictEqual(page.likedIds().length, 30);
+    assert.strictEqual(result.coverage.missing, 0);
+});
+
+test('retries rejected clicks, reports them as failed and likes them with retryFailed()', async () => {
+    const { clock, page, autoLiker } = setUp(
+        { tracks: 10, failures: { sim00000004: 'toast', sim00000007: 'ignore' } },
+        { maxRetries: 2 }
+    );
+
+    const result = await clock.runUntil(autoLiker.start());
+
+    assert.strictEqual(result.endReason, 'completed');
+    assert.strictEqual(result.counts.confirmed, 8);
+    const outcomes = Object.fromEntries(result.tracks.map(track => [track.videoId, track.outcome]));
+    assert.strictEqual(outcomes.sim00000004, 'failed');
+    assert.notStrictEqual(outcomes.sim00000007, 'done');
+    // One click plus maxRetries more for each rejected track
+    assert.strictEqual(page.clicks.filter(click => click.videoId === 'sim00000004').length, 3);
+    assert.strictEqual(page.clicks.filter(click => click.videoId === 'sim00000007').length, 3);
+
+    page.setFailure('sim00000004', null);
+    page.setFailure('sim00000007', null);
+    await clock.runUntil(autoLiker.retryFailed());
+
+    assert.strictEqual(page.likedIds().length, 10);
+});
+
+test('a batch continues the run it stopped on, but starts over instead of resuming a run of another mode', async () => {
+    const tracks = Array.from({ length: 10 }, () => ({ likeState: 'liked' }));
+    const { clock, page, autoLiker } = setUp({ tracks });
+    autoLiker.setMode('unlike');
+    const stopAfter = count => {
+        let actions = 0;
+        const stopper = () => {
+            if (++actions === count) autoLiker.stop();
+        };
+        autoLiker.on('action', stopper);
+        return () => autoLiker.off('action', stopper);
+    };
+
+    let release = stopAfter(2);
+    await clock.runUntil(autoLiker.start());
+    release();
+    assert.strictEqual(page.likedIds().length, 8);
+
+    autoLiker.setMode('like');
+    release = stopAfter(1);
+    let report = await clock.runUntil(autoLiker.runBatch(['PLsimulated']));
+    release();
+    assert.strictEqual(report.items[0].status, 'stopped');
+    assert.strictEqual(page.likedIds().length, 9);
+
+    report = await clock.runUntil(autoLiker.resumeBatch());
+
+    assert.strictEqual(report.items[0].status, 'done');
+    assert.strictEqual(page.likedIds().length, 10);
+    assert.strictEqual(autoLiker.config.mode, 'like');
+    // Each track clicked once to unlike it and once to like it again, nothing twice
+    assert.strictEqual(page.clicks.length, 4);
+});
+
+test('a resumed run uses its own settings and puts back the ones changed meanwhile afterwards', async () => {
+    const { clock, page, autoLiker } = setUp({ tracks: 10 });
+    const stopper = () => autoLiker.stop();
+    autoLiker.on('action', stopper);
+    await clock.runUntil(autoLiker.start());
+    autoLiker.off('action', stopper);
+
+    autoLiker.configure({ likeDelayMax: 9000 });
+    let during = null;
+    autoLiker.on('started', () => {
+        during = { likeDelayMax: autoLiker.config.likeDelayMax, source: autoLiker.configSources.likeDelayMax };
+    });
+    const result = await clock.runUntil(autoLiker.resume());
+
+    assert.strictEqual(result.endReason, 'completed');
+    assert.strictEqual(page.likedIds().length, 10);
+    assert.deepStrictEqual(during, { likeDelayMax: 2300, source: 'session' });
+    assert.strictEqual(autoLiker.config.likeDelayMax, 9000);
+    assert.strictEqual(autoLiker.configSources.likeDelayMax, 'saved');
+});
+
+test('setMode() and setLogLevel() save their choice, and preview() only turns on dryRun for its own run', async () => {
+    const { clock, page, autoLiker } = setUp({ tracks: 5 });
+
+    assert.strictEqual(autoLiker.setMode('add-to-playlist'), false);
+    assert.strictEqual(autoLiker.setMode('dislike'), true);
+    assert.strictEqual(autoLiker.setLogLevel('loud'), false);
+    assert.strictEqual(autoLiker.setLogLevel('warning'), true);
+    assert.deepStrictEqual(autoLiker.configStore.state.values, { mode: 'dislike', logLevel: 'warning' });
+    assert.strictEqual(autoLiker.showConfig().settings.find(row => row.setting === 'mode').source, 'saved');
+
+    const summary = await clock.runUntil(autoLiker.preview());
+
+    assert.strictEqual(summary.mode, 'dislike');
+    assert.strictEqual(summary.wouldAct, 5);
+    assert.strictEqual(page.clicks.length, 0);
+    assert.strictEqual(autoLiker.config.dryRun, false);
+    assert.strictEqual(autoLiker.configSources.dryRun, 'default');
+    assert.strictEqual(autoLiker.configStore.state.values.dryRun, undefined);
+});
+
+test('the daily cap ends a run but not an export or a snapshot, which never click', async () => {
+    const { clock, page, autoLiker } = setUp({ tracks: 30, pageSize: 10 }, { dailyCap: 3 });
+    const downloads = [];
+    autoLiker.downloadFile = (content, filename) => downloads.push(filename);
+
+    const result = await clock.runUntil(autoLiker.start());
+    assert.strictEqual(result.endReason, 'daily-cap');
+    assert.strictEqual(page.likedIds().length, 3);
+
+    const exported = await clock.runUntil(autoLiker.exportPlaylist('json'));
+    assert.strictEqual(exported.trackCount, 30);
+    assert.strictEqual(JSON.parse(exported.content).tracks.length, 30);
+    assert.deepStrictEqual(downloads, [exported.filename]);
+
+    await clock.runUntil(autoLiker.takeSnapshot());
+    assert.strictEqual(autoLiker.snapshots.latest('PLsimulated').tracks.length, 30);
+    assert.strictEqual(page.clicks.length, 3);
+});
+
+test('filter rules with global regexes match every track, not every other one', async () => {
+    const tracks = Array.from({ length: 8 }, (_, index) => ({ title: index < 6 ? `Track ${index}` : `Interlude ${index}` }));
+    const { clock, page, autoLiker } = setUp({ tracks }, { filter: { include: { title: /track/gi }, exclude: { title: [/\b5$/g] } } });
+
+    const result = await clock.runUntil(autoLiker.start());
+
+    assert.strictEqual(result.counts.totalActions, 5);
+    assert.deepStrictEqual(result.counts.skipReasons, { 'filter: include.title': 2, 'filter: exclude.title': 1 });
+    assert.strictEqual(page.likedIds().length, 5);
+});
+
+test('the player queue refuses rating modes and runs the row menu modes on every queued song', async () => {
+    const { clock, page, autoLiker } = setUp({ page: 'queue', tracks: 12, pageSize: 5 });
+
+    const refused = await clock.runUntil(autoLiker.start());
+    assert.strictEqual(refused.endReason, 'error');
+    assert.match(refused.error, /no rating buttons/);
+    assert.strictEqual(page.clicks.length, 0);
+
+    autoLiker.setMode('save-to-library');
+    const result = await clock.runUntil(autoLiker.start());
+
+    assert.strictEqual(result.endReason, 'completed');
+    assert.strictEqual(result.pageType, 'queue');
+    assert.strictEqual(page.library.size, 12);
+    assert.deepStrictEqual(
+        { title: result.tracks[1].title, artists: result.tracks[1].artists, album: result.tracks[1].album, videoId: result.tracks[1].videoId },
+        { title: 'Track 2', artists: ['Artist 2'], album: null, videoId: 'sim00000002' }
+    );
+});
+
+test('watch runs remember handled tracks, but try skipped ones again once they can be liked', async () => {
+    const tracks = [{}, {}, { title: 'Not now' }, {}, { unavailable: true }, {}];
+    const { clock, page, autoLiker } = setUp({ tracks }, { filter: { exclude: { title: 'Not now' } } });
+    assert.strictEqual(autoLiker.allowPlaylist(), true);
+
+    const first = await clock.runUntil(autoLiker.runWatched('PLsimulated'));
+    assert.strictEqual(first.counts.totalActions, 4);
+    const known = autoLiker.watchList.get('PLsimulated').knownTrackIds;
+    assert.strictEqual(known.length, 4);
+    assert.ok(!known.includes('sim00000003') && !known.includes('sim00000005'));
+
+    autoLiker.configure({ filter: {} }, { persist: false });
+    const [added] = page.addTracks([{}]);
+    const second = await clock.runUntil(autoLiker.runWatched('PLsimulated'));
+
+    assert.strictEqual(second.counts.totalActions, 2);
+    assert.strictEqual(second.counts.alreadyDone, 4);
+    assert.deepStrictEqual(second.counts.skipReasons, { unavailable: 1 });
+    assert.ok(page.likedIds().includes('sim00000003') && page.likedIds().includes(added));
+    assert.strictEqual(autoLiker.watchList.get('PLsimulated').knownTrackIds.length, 6);
+});
+
+test('settings, the batch queue, the watch list and the daily count outlast a reload, or a full localStorage', async () => {
+    const { window } = new JSDOM('<!doctype html><html><body></body></html>', { url: 'https://music.youtube.com/' });
+    const clock = new SimulatedClock();
+    createSimulatedPlaylist(window, { clock, tracks: 5 });
+    const create = storage => new YouTubeMusicAutoLike({ logLevel: 'error' }, { window, clock, random: createSeededRandom(42), storage });
+
+    const first = create(window.localStorage);
+    first.configure({ preset: 'fast', maxPerMinute: 50 });
+    first.allowPlaylist();
+    await clock.runUntil(first.runBatch(['PLsimulated', 'PLother']));
+
+    const reloaded = create(window.localStorage);
+    assert.strictEqual(reloaded.config.preset, 'fast');
+    assert.strictEqual(reloaded.config.maxPerMinute, 50);
+    assert.ok(reloaded.watchList.get('PLsimulated'));
+    assert.deepStrictEqual(reloaded.batch.items.map(item => item.status), ['done', 'failed']);
+    assert.strictEqual(reloaded.rateLimiter.getDailyCount(), 5);
+
+    const full = {
+        get length() { return 0; },
+        key: () => null,
+        getItem: () => null,
+        setItem: () => { throw new Error('QuotaExceededError'); },
+        removeItem: () => {}
+    };
+    const unsaved = create(full);
+    unsaved.configure({ maxPerMinute: 40 });
+    unsaved.rateLimiter.setDailyCount(3);
+    assert.strictEqual(unsaved.configStore.load().values.maxPerMinute, 40);
+    assert.strictEqual(unsaved.rateLimiter.getDailyCount(), 3);
+});
+
+test('undo() puts back the ratings the last run changed, and only once', async () => {
+    const tracks = Array.from({ length: 6 }, (_, index) => ({ likeState: index === 1 ? 'disliked' : index === 4 ? 'liked' : 'none' }));
+    const { clock, page, autoLiker } = setUp({ tracks });
+
+    await clock.runUntil(autoLiker.start());
+    assert.strictEqual(page.likedIds().length, 6);
+    const [journal] = autoLiker.listJournals();
+    assert.strictEqual(journal.mode, 'like');
+    assert.strictEqual(journal.undoable, 5);
+
+    const result = await clock.runUntil(autoLiker.undo());
+
+    assert.strictEqual(result.endReason, 'completed');
+    assert.deepStrictEqual(page.likedIds(), ['sim00000005']);
+    assert.deepStrictEqual(page.idsInState('disliked'), ['sim00000002']);
+    const journals = autoLiker.listJournals();
+    assert.strictEqual(journals.length, 2);
+    assert.strictEqual(journals[0].undoable, 0);
+    assert.strictEqual(journals[1].mode, `undo of ${journal.id}`);
+    assert.strictEqual(await autoLiker.undo(), null);
+});
+
+test('diff() lists the tracks added, removed and moved between two complete runs', async () => {
+    const { clock, page, autoLiker } = setUp({ tracks: 8 });
+
+    await clock.runUntil(autoLiker.start());
+    assert.strictEqual(autoLiker.diff(), null);
+
+    const [added] = page.addTracks([{ title: 'New Song' }], 2);
+    page.removeTracks(['sim00000006']);
+    page.moveTrack('sim00000008', 0);
+    const result = await clock.runUntil(autoLiker.start());
+
+    assert.deepStrictEqual(result.changes && { added: result.changes.added, removed: result.changes.removed, moved: result.changes.moved },
+        { added: 1, removed: 1, moved: 1 });
+    const diff = autoLiker.diff();
+    assert.deepStrictEqual(diff.added.map(track => [track.videoId, track.position]), [[added, 4]]);
+    assert.deepStrictEqual(diff.removed.map(track => [track.videoId, track.position]), [['sim00000006', 6]]);
+    assert.deepStrictEqual(diff.moved.map(track => [track.videoId, track.from, track.to]), [['sim00000008', 8, 1]]);
+    assert.strictEqual(diff.unchanged, 6);
+});
+
+test('a preset sets the pace as a whole, and own values on top of it last until the next preset', () => {
+    const { autoLiker } = setUp({ tracks: 1 });
+
+    assert.strictEqual(autoLiker.configure({ preset: 'cautious', likeDelayMin: 3000 }).ok, true);
+    assert.strictEqual(autoLiker.config.likeDelayMin, 3000);
+    assert.strictEqual(autoLiker.config.likeDelayMax, 5000);
+    assert.strictEqual(autoLiker.config.maxPerMinute, 12);
+
+    autoLiker.configure({ preset: 'fast' });
+    assert.strictEqual(autoLiker.config.likeDelayMin, 500);
+    assert.strictEqual(autoLiker.config.maxPerMinute, 60);
+
+    assert.strictEqual(autoLiker.configure({ preset: 'reckless' }).ok, false);
+    assert.strictEqual(autoLiker.config.preset, 'fast');
+});
+
+test('time spent paused is reported apart from the run time', async () => {
+    const { clock, page, autoLiker } = setUp({ tracks: 6 });
+    let paused = false;
+    autoLiker.on('action', () => {
+        if (paused) return;
+        paused = true;
+        autoLiker.pause();
+        clock.setTimeout(() => {
+            assert.strictEqual(autoLiker.getStatus().pausedSeconds, 90);
+            assert.strictEqual(page.likedIds().length, 1);
+            autoLiker.resume();
+        }, 90000);
+    });
+
+    const started = clock.now();
+    const result = await clock.runUntil(autoLiker.start());
+
+    assert.strictEqual(result.endReason, 'completed');
+    assert.strictEqual(page.likedIds().length, 6);
+    assert.strictEqual(result.pausedMs, 90000);
+    assert.strictEqual(result.durationMs, clock.now() - started - 90000);
+});
+
+test('the per-minute budget and breaks space out the clicks of a long run', async () => {
+    const { clock, page, autoLiker } = setUp({ tracks: 30 }, {
+        likeDelayMin: 100, likeDelayMax: 100, maxPerMinute: 10, breakEvery: 20, breakMin: 120000, breakMax: 120000
+    });
+    const times = [];
+    autoLiker.on('action', () => times.push(clock.now()));
+
+    const result = await clock.runUntil(autoLiker.start());
+
+    assert.strictEqual(result.endReason, 'completed');
+    assert.strictEqual(page.likedIds().length, 30);
+    // A full bucket lets the first 10 through, then it refills one click every 6 seconds
+    times.forEach((time, index) => {
+        const allowed = 10 + Math.floor((time - times[0]) / 6000) + 1;
+        assert.ok(index + 1 <= allowed, `click ${index + 1} came before the budget allowed ${allowed}`);
+    });
+    assert.ok(times[10] - times[9] >= 5000, 'no wait once the bucket was empty');
+    assert.ok(times[20] - times[19] >= 120000, 'no break after 20 clicks');
+});
+
+test('a German page is rated with the German labels, and selfTest() picks that profile', async () => {
+    const { clock, page, autoLiker } = setUp({ tracks: 5, lang: 'de' });
+
+    const report = autoLiker.selfTest();
+    assert.strictEqual(report.pageLang, 'de');
+    assert.strictEqual(report.profile, 'de');
+    assert.ok(report.matchingProfiles.includes('de'));
+    assert.strictEqual(report.ok, true);
+
+    const result = await clock.runUntil(autoLiker.start());
+    assert.strictEqual(result.endReason, 'completed');
+    assert.strictEqual(page.likedIds().length, 5);
+    assert.strictEqual(result.counts.confirmed, 5);
+});
+
+test('add-to-playlist declines the duplicate dialog, and add-to-queue queues every song in order', async () => {
+    const { clock, page, autoLiker } = setUp({ tracks: 4, playlists: ['Favorites', 'Road Trip'] });
+    page.playlists.get('Road Trip').push('sim00000002');
+
+    autoLiker.setMode('add-to-playlist', 'Road Trip');
+    const result = await clock.runUntil(autoLiker.start());
+
+    assert.strictEqual(result.endReason, 'completed');
+    assert.deepStrictEqual(page.playlistIds('Road Trip'), ['sim00000002', 'sim00000001', 'sim00000003', 'sim00000004']);
+    assert.deepStrictEqual(page.playlistIds('Favorites'), []);
+    assert.strictEqual(result.counts.confirmed, 3);
+    assert.strictEqual(result.counts.alreadyDone, 1);
+    assert.strictEqual(page.document.querySelector('ytmusic-confirm-dialog-renderer'), null);
+
+    autoLiker.setMode('add-to-queue');
+    const queued = await clock.runUntil(autoLiker.start());
+    assert.strictEqual(queued.counts.confirmed, 4);
+    assert.deepStrictEqual(page.queue, ['sim00000001', 'sim00000002', 'sim00000003', 'sim00000004']);
+    assert.strictEqual(page.likedIds().length, 0);
+});
+
+test('a sign-in dialog ends the run with an error instead of clicking on', async () => {
+    const { clock, page, autoLiker } = setUp({ tracks: 6, failures: { sim00000003: 'sign-in' } });
+
+    const result = await clock.runUntil(autoLiker.start());
+
+    assert.strictEqual(result.endReason, 'error');
+    assert.strictEqual(result.error, 'sign-in required');
+    assert.deepStrictEqual(page.likedIds(), ['sim00000001', 'sim00000002']);
+    assert.strictEqual(page.clicks.length, 3);
+});
+
+test('counts a track whose like button disappears before its click as skipped', async () => {
+    const { window, clock, page, autoLiker } = setUp({ tracks: 5 });
+    const skipped = [];
+    autoLiker.on('skipped', ({ track, reason }) => skipped.push([track.videoId, reason]));
+    autoLiker.on('action', ({ track }) => {
+        if (track.videoId === 'sim00000001') {
+            window.document.querySelector('[data-video-id="sim00000002"] ytmusic-like-button-renderer').remove();
+        }
+    });
+
+    const result = await clock.runUntil(autoLiker.start());
+
+    assert.deepStrictEqual(skipped, [['sim00000002', 'button not available']]);
+    assert.strictEqual(result.counts.skipped, 1);
+    assert.deepStrictEqual(result.counts.skipReasons, { 'button not available': 1 });
+    assert.strictEqual(result.tracks.find(track => track.videoId === 'sim00000002').outcome, 'skipped');
+    assert.strictEqual(page.likedIds().length, 4);
+});
+
+test('likes only the imported tracks, not near misses with other numbers or artists', async () => {
+    const tracks = [
+        { title: 'Symphony No. 5 in C Minor', artists: ['Beethoven'] },
+        { title: 'Symphony No. 6 in F Major', artists: ['Beethoven'] },
+        { title: 'Symphony No. 9 in D Minor', artists: ['Beethoven'] },
+        { title: 'Bohemian Rhapsody', artists: ['Queen'] },
+        { title: 'Intro', artists: ['Band 0'] },
+        { title: 'Intro', artists: ['Band 1'] },
+        { title: 'Outro', artists: ['Band 0'] },
+        { title: 'Outro', artists: ['Band 0'], album: 'Live' }
+    ];
+    const { clock, page, autoLiker } = setUp({ tracks });
+    autoLiker.importTracks([
+        'Beethoven - Symphony No. 5 in C Minor',
+        'Queen - Bohemian Rapsody',
+        'Band 1 - Intro',
+        'Band 0 - Outro',
+        'Band 2 - Intro'
+    ].join('\n'));
+
+    const result = await clock.runUntil(autoLiker.start());
+
+    assert.deepStrictEqual(page.likedIds(), ['sim00000001', 'sim00000004', 'sim00000006', 'sim00000007']);
+    const report = autoLiker.getImportReport();
+    assert.strictEqual(report.found, 4);
+    assert.deepStrictEqual(report.notFound, ['Band 2 - Intro']);
+    assert.deepStrictEqual(report.matches.map(match => match.videoId).sort(), page.likedIds().sort());
+    assert.strictEqual(result.counts.totalActions, 4);
+});
+
+test('one-word titles of eleven letters are imported as titles, not as videoIds', async () => {
+    const tracks = [{ title: 'Independent' }, { title: 'Bittersweet' }, { title: 'Other' }, { videoId: 'a1b2c3d4e5f' }];
+    const { clock, page, autoLiker } = setUp({ tracks });
+    autoLiker.importTracks('Independent\nBittersweet\na1b2c3d4e5f');
+
+    await clock.runUntil(autoLiker.start());
+
+    assert.deepStrictEqual(page.likedIds(), ['sim00000001', 'sim00000002', 'a1b2c3d4e5f']);
+    assert.deepStrictEqual(autoLiker.getImportReport().notFound, []);
+});
+
+test('the control panel explains a rejected setting and keeps the value in use', () => {
+    const { window, autoLiker } = setUp({ tracks: 5 });
+    autoLiker.showPanel();
+    const input = autoLiker.panel.root.querySelector('[data-key="likeDelayMax"]');
+    const error = autoLiker.panel.root.querySelector('[data-field="settingsError"]');
+
+    input.value = '10';
+    input.dispatchEvent(new window.Event('change'));
+
+    assert.strictEqual(autoLiker.config.likeDelayMax, 2300);
+    assert.strictEqual(input.value, '2300');
+    assert.strictEqual(error.hidden, false);
+    assert.match(error.textContent, /likeDelayMin must not be larger than likeDelayMax/);
+
+    input.value = '3000';
+    input.dispatchEvent(new window.Event('change'));
+
+    assert.strictEqual(autoLiker.config.likeDelayMax, 3000);
+    assert.strictEqual(error.hidden, true);
+    autoLiker.hidePanel();
+});
+
+test('pasted on a page it cannot run on, the script still leaves autoLiker on the console', () => {
+    const { window } = new JSDOM('<!doctype html><html><body></body></html>', {
+        url: 'https://music.youtube.com/explore',
+        runScripts: 'outside-only',
+        virtualConsole: new VirtualConsole()
+    });
+
+    try {
+        window.eval(fs.readFileSync(path.join(__dirname, '..', 'youtube-music-auto-like.js'), 'utf8'));
+
+        assert.strictEqual(typeof window.autoLiker.resume, 'function');
+        assert.strictEqual(window.autoLiker.isRunning, false);
+    } finally {
+        // The panel's refresh timer runs on the page's real clock
+        window.close();
+    }
+});
@@ -3,472 +3,5347 @@
  * Automatically likes all songs in a playlist on YouTube Music
  * 
  * Usage: Open YouTube Music playlist, open browser console, paste and run this script
+ * Under Node, require() it instead: nothing runs on import (see simulated-playlist.js)
  * 
  * Features:
  * - Configurable delays and timeouts
  * - Progress tracking and detailed logging
  * - Safety checks to prevent infinite loops
  * - Graceful error handling
- * - Ability to stop the script manually
+ * - Ability to pause, resume or stop the script manually
+ * - Per-track records deduplicated by videoId across scroll cycles
+ * - Progress saved in localStorage so a run can be resumed after a reload
+ * - Optional import list limiting a run to known tracks
+ * - Floating on-page control panel
+ * - Click verification with retries and a failed-track report
+ * - Adaptive rate limiting with per-minute/per-hour budgets and a daily cap
+ * - Selector profiles for English, German, Spanish and Japanese UIs, plus custom profiles
+ * - Works on playlists, albums, artist pages, the Songs tab of search results and the player queue
+ * - Batch runs over several playlists without reloading the page, resumable after a stop
+ * - Event hooks and a structured result from start() for userscripts and dashboards
+ * - Structured run log with levels, pluggable sinks and a JSON/text download
+ * - Watch mode that runs by itself on allow-listed playlists, liking only tracks added since the last run
+ * - Injectable page, clock and random source so the core can be exercised under Node
+ * - Coverage check against the track count and duration declared in the playlist header
+ * - Journal of every rating change per run, with undo
+ * - Row menu actions: add every song to a playlist, save it to the library or add it to the queue
+ * - Snapshots of each playlist's track list with a diff between runs, optionally acting only on new tracks
+ * - Validated settings with cautious/normal/fast presets, per-playlist overrides and runtime changes saved in localStorage
  */
 
-class YouTubeMusicAutoLike {
-    constructor(options = {}) {
-        this.config = {
-            // Random delay range between liking individual songs (milliseconds)
-            likeDelayMin: options.likeDelayMin || 1200, // 1.2 seconds
-            likeDelayMax: options.likeDelayMax || 2300, // 2.3 seconds
-            // Delay between scroll cycles (milliseconds)
-            scrollDelay: options.scrollDelay || 5000,
-            // Scroll distance in pixels
-            scrollDistance: options.scrollDistance || 1000,
-            // Maximum number of scroll attempts to prevent infinite loops
-            maxScrollAttempts: options.maxScrollAttempts || 100,
-            // Time to wait for new content to load after scrolling (milliseconds)
-            loadWaitTime: options.loadWaitTime || 2000,
-            // Enable detailed logging
-            verbose: options.verbose !== false
-        };
-        
-        this.stats = {
-            totalLiked: 0,
-            scrollAttempts: 0,
-            startTime: Date.now()
-        };
-        
-        this.isRunning = false;
-        this.shouldStop = false;
-        
-        // Bind methods to maintain context
-        this.stop = this.stop.bind(this);
-        this.getStatus = this.getStatus.bind(this);
+// Clock used outside tests: the real time and the page's timers
+const SYSTEM_CLOCK = {
+    now: () => Date.now(),
+    setTimeout: (callback, ms) => setTimeout(callback, ms),
+    clearTimeout: id => clearTimeout(id),
+    setInterval: (callback, ms) => setInterval(callback, ms),
+    clearInterval: id => clearInterval(id)
+};
+
+// Everything the script takes from its surroundings. In the browser these are the page's globals;
+// under Node pass a DOM window (e.g. a simulated playlist page), a fake clock and a seeded random source
+function resolveEnvironment(environment = {}) {
+    const win = environment.window || (typeof window !== 'undefined' ? window : null);
+    const doc = environment.document || (win ? win.document : null);
+    if (!win || !doc) {
+        throw new Error('No page to work on: pass { window } (and optionally { document }) as the second constructor argument');
     }
 
-    log(message, type = 'info') {
-        if (!this.config.verbose && type === 'debug') return;
-        
-        const timestamp = new Date().toLocaleTimeString();
-        const prefix = `[${timestamp}] YT Auto-Like:`;
-        
-        switch (type) {
-            case 'error':
-                console.error(`${prefix} ❌ ${message}`);
-                break;
-            case 'success':
-                console.log(`${prefix} ✅ ${message}`);
-                break;
-            case 'warning':
-                console.warn(`${prefix} ⚠️ ${message}`);
-                break;
-            case 'debug':
-                console.log(`${prefix} 🔍 ${message}`);
-                break;
-            default:
-                console.log(`${prefix} ℹ️ ${message}`);
+    let storage = null;
+    if ('storage' in environment) {
+        storage = environment.storage;
+    } else {
+        try {
+            storage = win.localStorage || null;
+        } catch (error) {
+            // Pages without a proper origin refuse access to localStorage
+            storage = null;
         }
     }
 
-    // Get all like buttons that haven't been liked yet
-    getLikeButtons() {
-        // Multiple selectors to handle different YouTube Music versions
-        const selectors = [
+    return {
+        window: win,
+        document: doc,
+        storage,
+        clock: environment.clock || SYSTEM_CLOCK,
+        random: environment.random || Math.random
+    };
+}
+
+// What each action mode does: the ratings that count as done, which button moves a song there,
+// and how the action is worded in logs. Menu actions pick menuItem from the row's "⋮" menu instead;
+// they can't tell beforehand whether a song is done, doneMenuItem shows it once the menu is open
+// and doneToast is part of the toast that confirms them (all label keys of the selector profile)
+const ACTION_MODES = {
+    like: { doneStates: ['liked'], button: 'like', targetState: 'liked', verb: 'like', pastTense: 'liked' },
+    unlike: { doneStates: ['none', 'disliked'], button: 'like', targetState: 'none', verb: 'unlike', pastTense: 'unliked' },
+    dislike: { doneStates: ['disliked'], button: 'dislike', targetState: 'disliked', verb: 'dislike', pastTense: 'disliked' },
+    // Clicking the pressed button removes whichever rating the song has
+    'clear-rating': { doneStates: ['none'], button: 'current', targetState: 'none', verb: 'clear the rating of', pastTense: 'cleared' },
+    // Needs config.targetPlaylist, the name of one of your playlists
+    'add-to-playlist': { doneStates: [], button: 'menu', targetState: null, menuItem: 'saveToPlaylist', doneToast: 'savedToPlaylist', verb: 'add to the playlist', pastTense: 'added to the playlist' },
+    'save-to-library': { doneStates: [], button: 'menu', targetState: null, menuItem: 'saveToLibrary', doneMenuItem: 'removeFromLibrary', doneToast: 'savedToLibrary', verb: 'save to the library', pastTense: 'saved to the library' },
+    'add-to-queue': { doneStates: [], button: 'menu', targetState: null, menuItem: 'addToQueue', doneToast: 'addedToQueue', verb: 'add to the queue', pastTense: 'added to the queue' }
+};
+
+// While undo() runs every track gets the mode that brings back its earlier rating; this only words the run as a whole
+const UNDO_MODE = { verb: 'restore', pastTense: 'restored' };
+const RESTORE_MODES = { none: 'clear-rating', liked: 'like', disliked: 'dislike' };
+
+// Parts of the page structure that don't depend on the UI language; every selector profile starts from these
+const BASE_SELECTORS = {
+    rows: 'ytmusic-responsive-list-item-renderer',
+    likeRenderer: 'ytmusic-like-button-renderer',
+    rowLikeButton: [
+        'ytmusic-like-button-renderer #button-shape-like button',
+        'ytmusic-like-button-renderer tp-yt-paper-icon-button.like'
+    ],
+    rowDislikeButton: [
+        'ytmusic-like-button-renderer #button-shape-dislike button',
+        'ytmusic-like-button-renderer tp-yt-paper-icon-button.dislike'
+    ],
+    // The "⋮" button of a row and the menu, playlist picker and confirmation dialog it leads to
+    rowMenuButton: [
+        'ytmusic-menu-renderer yt-button-shape button',
+        'ytmusic-menu-renderer tp-yt-paper-icon-button',
+        'ytmusic-menu-renderer button'
+    ],
+    menuPopup: 'ytmusic-menu-popup-renderer',
+    menuItems: 'ytmusic-menu-navigation-item-renderer, ytmusic-menu-service-item-renderer, ytmusic-toggle-menu-service-item-renderer',
+    playlistPicker: 'ytmusic-add-to-playlist-renderer',
+    playlistOptions: 'ytmusic-playlist-add-to-option-renderer',
+    confirmDialogs: 'ytmusic-confirm-dialog-renderer, yt-confirm-dialog-renderer',
+    confirmCancelButtons: ['#cancel-button button', '#cancel-button', '.cancel-button button'],
+    // Notification toasts, e.g. "Saved to Road trip" or an error
+    toasts: [
+        'tp-yt-paper-toast#toast',
+        'ytmusic-notification-action-renderer',
+        'ytmusic-notification-text-renderer',
+        'yt-notification-action-renderer'
+    ],
+    scrollContainers: [
+        // Primary scrollable container in YouTube Music playlists
+        'ytmusic-section-list-renderer.scroller',
+        'ytmusic-section-list-renderer',
+        // Contents within the playlist shelf
+        'ytmusic-playlist-shelf-renderer #contents',
+        // General contents containers
+        'ytmusic-two-column-browse-results-renderer #contents',
+        'ytmusic-browse-response #contents',
+        '#contents.style-scope.ytmusic-section-list-renderer',
+        '#contents',
+        // Fallback selectors
+        '.playlist-items',
+        '.ytmusic-playlist-shelf-renderer',
+        '[role="main"]',
+        '.main-panel',
+        '#main-panel',
+        // App layout container
+        'ytmusic-app-layout#layout'
+    ]
+};
+
+// Button labels of the YouTube Music UI per language. like/dislike are the exact labels of the
+// unrated buttons, liked/disliked are parts of the labels shown once a rating is set, songsTab
+// is the search results filter chip that lists only songs. tracks/hours/minutes/seconds are the
+// words following the numbers in the header line ("123 songs • 7+ hours"). menu is the label of a row's
+// "⋮" button, addToQueue/saveToPlaylist/saveToLibrary/removeFromLibrary its entries, and
+// addedToQueue/savedToPlaylist/savedToLibrary parts of the toasts confirming them
+const LOCALE_PROFILES = {
+    en: {
+        lang: ['en'],
+        labels: {
+            like: ['Like'],
+            liked: ['Unlike', 'Remove from liked'],
+            dislike: ['Dislike'],
+            disliked: ['Remove from disliked'],
+            explicit: ['Explicit'],
+            songsTab: ['Songs'],
+            tracks: ['songs', 'song', 'tracks', 'track'],
+            hours: ['hours', 'hour', 'hr'],
+            minutes: ['minutes', 'minute', 'min'],
+            seconds: ['seconds', 'second', 'sec'],
+            menu: ['Action menu', 'More actions'],
+            addToQueue: ['Add to queue'],
+            saveToPlaylist: ['Save to playlist', 'Add to playlist'],
+            saveToLibrary: ['Save to library', 'Add to library'],
+            removeFromLibrary: ['Remove from library'],
+            addedToQueue: ['added to queue', 'Added to queue'],
+            savedToPlaylist: ['Saved to', 'Added to'],
+            savedToLibrary: ['to library', 'to your library']
+        }
+    },
+    de: {
+        lang: ['de'],
+        labels: {
+            like: ['Mag ich'],
+            liked: ['Mag ich nicht mehr', '„Mag ich“ entfernen', 'Aus „Mag ich“ entfernen'],
+            dislike: ['Mag ich nicht'],
+            disliked: ['„Mag ich nicht“ entfernen'],
+            explicit: ['Explizit', 'Anstößig'],
+            songsTab: ['Songs', 'Titel'],
+            tracks: ['Titel', 'Songs', 'Song'],
+            hours: ['Stunden', 'Stunde', 'Std.'],
+            minutes: ['Minuten', 'Minute', 'Min.'],
+            seconds: ['Sekunden', 'Sekunde', 'Sek.'],
+            menu: ['Aktionsmenü', 'Weitere Aktionen'],
+            addToQueue: ['Zur Warteschlange hinzufügen'],
+            saveToPlaylist: ['In Playlist speichern', 'Zu Playlist hinzufügen'],
+            saveToLibrary: ['In Mediathek speichern', 'Zur Mediathek hinzufügen'],
+            removeFromLibrary: ['Aus Mediathek entfernen'],
+            addedToQueue: ['zur Warteschlange hinzugefügt', 'Zur Warteschlange hinzugefügt'],
+            savedToPlaylist: ['Gespeichert in', 'Hinzugefügt zu'],
+            savedToLibrary: ['Mediathek']
+        }
+    },
+    es: {
+        lang: ['es'],
+        labels: {
+            like: ['Me gusta'],
+            liked: ['Ya no me gusta', 'Quitar de Me gusta', 'Quitar Me gusta'],
+            dislike: ['No me gusta'],
+            disliked: ['Quitar No me gusta', 'Quitar de No me gusta'],
+            explicit: ['Explícito'],
+            songsTab: ['Canciones'],
+            tracks: ['canciones', 'canción'],
+            hours: ['horas', 'hora'],
+            minutes: ['minutos', 'minuto', 'min'],
+            seconds: ['segundos', 'segundo', 'seg'],
+            menu: ['Menú de acciones', 'Más acciones'],
+            addToQueue: ['Añadir a la cola', 'Agregar a la fila'],
+            saveToPlaylist: ['Guardar en una playlist', 'Guardar en playlist', 'Añadir a playlist'],
+            saveToLibrary: ['Guardar en la biblioteca', 'Añadir a la biblioteca'],
+            removeFromLibrary: ['Quitar de la biblioteca'],
+            addedToQueue: ['añadida a la cola', 'Añadida a la cola', 'agregada a la fila'],
+            savedToPlaylist: ['Guardada en', 'Añadida a'],
+            savedToLibrary: ['biblioteca']
+        }
+    },
+    ja: {
+        lang: ['ja'],
+        labels: {
+            like: ['高く評価'],
+            liked: ['高く評価を取り消す', '高く評価を取り消します'],
+            dislike: ['低く評価'],
+            disliked: ['低く評価を取り消す', '低く評価を取り消します'],
+            explicit: ['露骨な表現', '不適切な表現'],
+            songsTab: ['曲'],
+            tracks: ['曲'],
+            hours: ['時間'],
+            minutes: ['分'],
+            seconds: ['秒'],
+            menu: ['操作メニュー', 'その他の操作'],
+            addToQueue: ['キューに追加'],
+            saveToPlaylist: ['再生リストに保存', 'プレイリストに保存'],
+            saveToLibrary: ['ライブラリに保存', 'ライブラリに追加'],
+            removeFromLibrary: ['ライブラリから削除'],
+            addedToQueue: ['キューに追加しました'],
+            savedToPlaylist: ['に保存しました', 'に追加しました'],
+            savedToLibrary: ['ライブラリに']
+        }
+    }
+};
+
+// Where rows, the list they're attached to, the scroll container and the "load more" item live on
+// each kind of page. Checked in order, the first type whose URL matches wins; scrollContainers
+// replace the profile's page-level ones when set, headers hold the declared track count and duration.
+// menuModesOnly pages have no rating buttons on their rows, so only the row menu modes can run there
+const PAGE_TYPES = {
+    // The player page keeps the page it was opened from underneath, so it's checked first
+    queue: {
+        label: 'player queue',
+        matches: location => location.pathname === '/watch',
+        rows: 'ytmusic-player-queue ytmusic-player-queue-item',
+        listContainers: ['ytmusic-player-queue #contents'],
+        scrollContainers: ['ytmusic-player-queue #contents', 'ytmusic-player-queue', '#side-panel'],
+        continuations: ['ytmusic-player-queue ytmusic-continuation-item-renderer'],
+        // Queue items have no rating buttons, only the playing song can be rated (in the player bar)
+        menuModesOnly: true,
+        id: location => new URLSearchParams(location.search).get('list')
+    },
+    playlist: {
+        label: 'playlist',
+        matches: location => location.pathname === '/playlist' || location.pathname.startsWith('/browse/VL'),
+        rows: BASE_SELECTORS.rows,
+        listContainers: ['ytmusic-playlist-shelf-renderer #contents'],
+        continuations: [
+            'ytmusic-continuation-item-renderer',
+            '#continuations yt-next-continuation',
+            '#continuations tp-yt-paper-spinner',
+            'ytmusic-playlist-shelf-renderer tp-yt-paper-spinner'
+        ],
+        headers: ['ytmusic-responsive-header-renderer .second-subtitle', 'ytmusic-detail-header-renderer .second-subtitle'],
+        id: location => new URLSearchParams(location.search).get('list') ||
+                        (location.pathname.match(/^\/browse\/VL([\w-]+)/) || [])[1] || null
+    },
+    album: {
+        label: 'album',
+        matches: location => location.pathname.startsWith('/browse/MPRE'),
+        rows: BASE_SELECTORS.rows,
+        listContainers: ['ytmusic-playlist-shelf-renderer #contents', 'ytmusic-shelf-renderer #contents'],
+        continuations: ['ytmusic-continuation-item-renderer', '#continuations yt-next-continuation'],
+        headers: ['ytmusic-responsive-header-renderer .second-subtitle', 'ytmusic-detail-header-renderer .second-subtitle'],
+        // Album rows don't repeat the album name and only link featured artists
+        metadataFromHeader: true,
+        id: location => location.pathname.split('/')[2] || null
+    },
+    artist: {
+        label: 'artist page',
+        matches: location => location.pathname.startsWith('/channel/') || location.pathname.startsWith('/browse/UC'),
+        rows: `ytmusic-shelf-renderer ${BASE_SELECTORS.rows}`,
+        listContainers: ['ytmusic-shelf-renderer #contents'],
+        // The songs shelf shows a fixed handful of rows; "Show all" opens them as a playlist
+        continuations: [],
+        id: location => location.pathname.split('/')[2] || null
+    },
+    search: {
+        label: 'search results',
+        matches: location => location.pathname === '/search',
+        rows: `ytmusic-shelf-renderer ${BASE_SELECTORS.rows}`,
+        listContainers: ['ytmusic-shelf-renderer #contents'],
+        continuations: ['ytmusic-shelf-renderer ytmusic-continuation-item-renderer', 'ytmusic-continuation-item-renderer'],
+        // The "All" tab mixes songs with videos, albums and artists
+        requiresSongsTab: true,
+        id: location => {
+            const query = new URLSearchParams(location.search).get('q');
+            return query ? `search:${query}` : null;
+        }
+    }
+};
+
+// Named selector profiles built from BASE_SELECTORS plus a label table. Custom profiles can
+// extend a built-in one and put their own selectors in front of the generated ones
+class SelectorProfiles {
+    static get LABEL_KEYS() {
+        return [
+            'like', 'liked', 'dislike', 'disliked', 'explicit', 'songsTab', 'tracks', 'hours', 'minutes', 'seconds',
+            'menu', 'addToQueue', 'saveToPlaylist', 'saveToLibrary', 'removeFromLibrary', 'addedToQueue', 'savedToPlaylist', 'savedToLibrary'
+        ];
+    }
+
+    static get SELECTOR_KEYS() {
+        return ['likeButtons', 'rowLikeButton', 'rowDislikeButton', 'rowMenuButton', 'explicit', 'scrollContainers'];
+    }
+
+    constructor() {
+        this.profiles = new Map();
+        Object.entries(LOCALE_PROFILES).forEach(([name, profile]) => this.register({ name, ...profile }));
+    }
+
+    // Add or replace a profile: { name, extends, lang: [...], labels: {...}, selectors: {...} }
+    register(profile) {
+        if (!profile || typeof profile.name !== 'string' || !profile.name.trim()) {
+            throw new Error('A selector profile needs a name');
+        }
+
+        const base = profile.extends ? this.profiles.get(profile.extends) : null;
+        if (profile.extends && !base) {
+            throw new Error(`Unknown base profile "${profile.extends}". Registered: ${this.names().join(', ')}`);
+        }
+
+        const labels = {};
+        SelectorProfiles.LABEL_KEYS.forEach(key => {
+            const own = profile.labels && profile.labels[key];
+            labels[key] = own !== undefined ? SelectorProfiles.toList(own) : (base ? base.labels[key] : []);
+        });
+
+        // Custom selectors are tried before the ones generated from the labels
+        const custom = {};
+        SelectorProfiles.SELECTOR_KEYS.forEach(key => {
+            const own = profile.selectors && profile.selectors[key];
+            custom[key] = [
+                ...(own !== undefined ? SelectorProfiles.toList(own) : []),
+                ...(base ? base.custom[key] : [])
+            ];
+        });
+
+        const lang = profile.lang !== undefined
+            ? SelectorProfiles.toList(profile.lang).map(code => code.toLowerCase())
+            : (base ? base.lang : []);
+
+        const compiled = {
+            name: profile.name,
+            lang,
+            labels,
+            custom,
+            builtIn: Object.prototype.hasOwnProperty.call(LOCALE_PROFILES, profile.name) && !profile.extends,
+            selectors: SelectorProfiles.buildSelectors(labels, custom)
+        };
+
+        this.profiles.set(profile.name, compiled);
+        return compiled;
+    }
+
+    get(name) {
+        return this.profiles.get(name) || null;
+    }
+
+    names() {
+        return Array.from(this.profiles.keys());
+    }
+
+    all() {
+        return Array.from(this.profiles.values());
+    }
+
+    // Profile for a page language such as "de-DE"; later (custom) profiles win, English is the fallback
+    detect(pageLang) {
+        const lang = (pageLang || '').toLowerCase();
+        const candidates = this.all().reverse();
+        const match = candidates.find(profile =>
+            profile.lang.some(code => lang === code || lang.startsWith(`${code}-`)));
+        return match || this.get('en');
+    }
+
+    static toList(value) {
+        return (Array.isArray(value) ? value : [value]).filter(item => typeof item === 'string' && item);
+    }
+
+    static quote(label) {
+        return label.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    }
+
+    static buildSelectors(labels, custom) {
+        const exact = (attribute, label) => `[${attribute}="${SelectorProfiles.quote(label)}"]`;
+        const partial = label => `[aria-label*="${SelectorProfiles.quote(label)}"]`;
+        const withLabels = (list, make) => list.reduce((selectors, label) => selectors.concat(make(label)), []);
+
+        const likeButtons = [
             // Current YouTube Music selectors
-            'ytmusic-responsive-list-item-renderer tp-yt-paper-icon-button[aria-label="Like"]',
-            'ytmusic-responsive-list-item-renderer button[aria-label="Like"]',
-            'ytmusic-responsive-list-item-renderer yt-icon-button[aria-label="Like"]',
+            ...withLabels(labels.like, label => [
+                `ytmusic-responsive-list-item-renderer tp-yt-paper-icon-button${exact('aria-label', label)}`,
+                `ytmusic-responsive-list-item-renderer button${exact('aria-label', label)}`,
+                `ytmusic-responsive-list-item-renderer yt-icon-button${exact('aria-label', label)}`
+            ]),
             // General selectors
-            'tp-yt-paper-icon-button[aria-label="Like"]',
-            'button[aria-label="Like"]',
-            'yt-icon-button[aria-label="Like"]',
-            '[data-tooltip-text="Like"]',
+            ...withLabels(labels.like, label => [
+                `tp-yt-paper-icon-button${exact('aria-label', label)}`,
+                `button${exact('aria-label', label)}`,
+                `yt-icon-button${exact('aria-label', label)}`,
+                exact('data-tooltip-text', label)
+            ]),
             // Alternative patterns
-            '[aria-label*="Like"]:not([aria-label*="Unlike"]):not([aria-label*="Remove"])',
-            'button[title="Like"]',
-            'tp-yt-paper-icon-button[title="Like"]'
+            ...withLabels(labels.like, label => [
+                partial(label) + labels.liked.map(liked => `:not(${partial(liked)})`).join(''),
+                `button${exact('title', label)}`,
+                `tp-yt-paper-icon-button${exact('title', label)}`
+            ])
         ];
-        
-        let buttons = [];
-        let usedSelector = '';
-        
-        for (const selector of selectors) {
-            const foundButtons = document.querySelectorAll(selector);
-            if (foundButtons.length > 0) {
-                buttons = Array.from(foundButtons);
-                usedSelector = selector;
-                this.log(`Found ${buttons.length} potential like buttons using selector: ${selector}`, 'debug');
-                break;
+
+        const rowLikeButton = [
+            ...BASE_SELECTORS.rowLikeButton,
+            ...withLabels(labels.like, label => [
+                `tp-yt-paper-icon-button${exact('aria-label', label)}`,
+                `button${exact('aria-label', label)}`,
+                `yt-icon-button${exact('aria-label', label)}`,
+                exact('data-tooltip-text', label),
+                `button${exact('title', label)}`,
+                `tp-yt-paper-icon-button${exact('title', label)}`
+            ]),
+            ...labels.liked.map(partial)
+        ];
+
+        const rowDislikeButton = [
+            ...BASE_SELECTORS.rowDislikeButton,
+            ...withLabels(labels.dislike, label => [
+                `tp-yt-paper-icon-button${exact('aria-label', label)}`,
+                `button${exact('aria-label', label)}`,
+                `yt-icon-button${exact('aria-label', label)}`,
+                exact('data-tooltip-text', label),
+                `button${exact('title', label)}`
+            ]),
+            ...labels.disliked.map(partial)
+        ];
+
+        const rowMenuButton = [
+            ...BASE_SELECTORS.rowMenuButton,
+            ...withLabels(labels.menu, label => [
+                `button${exact('aria-label', label)}`,
+                `tp-yt-paper-icon-button${exact('aria-label', label)}`,
+                `yt-icon-button${exact('aria-label', label)}`
+            ])
+        ];
+
+        return {
+            likeButtons: [...custom.likeButtons, ...likeButtons],
+            rowLikeButton: [...custom.rowLikeButton, ...rowLikeButton],
+            rowDislikeButton: [...custom.rowDislikeButton, ...rowDislikeButton],
+            rowMenuButton: [...custom.rowMenuButton, ...rowMenuButton],
+            explicit: [...custom.explicit, ...labels.explicit.map(label => exact('aria-label', label))],
+            scrollContainers: [...custom.scrollContainers, ...BASE_SELECTORS.scrollContainers]
+        };
+    }
+}
+
+// Log levels from most to least detailed; 'success' lines are logged at info level
+const LOG_LEVELS = { debug: 10, info: 20, warning: 30, error: 40 };
+
+// Bounded in-memory log of structured entries, passed on to every sink whose minimum level
+// they reach. The console is just one sink; the buffer keeps every level for downloadLog()
+class RunLog {
+    constructor(capacity = 2000) {
+        this.capacity = Math.max(1, capacity);
+        this.buffer = [];
+        // Index of the oldest entry once the buffer is full
+        this.start = 0;
+        this.sinks = new Set();
+    }
+
+    static levelOf(type) {
+        return type === 'success' ? 'info' : (LOG_LEVELS[type] ? type : 'info');
+    }
+
+    // True when `level` is at least as severe as `minLevel`
+    static reaches(level, minLevel) {
+        return LOG_LEVELS[level] >= (LOG_LEVELS[minLevel] || LOG_LEVELS.debug);
+    }
+
+    add(entry) {
+        if (this.buffer.length < this.capacity) {
+            this.buffer.push(entry);
+        } else {
+            this.buffer[this.start] = entry;
+            this.start = (this.start + 1) % this.capacity;
+        }
+
+        this.sinks.forEach(sink => {
+            if (!RunLog.reaches(entry.level, typeof sink.minLevel === 'function' ? sink.minLevel() : sink.minLevel)) return;
+            try {
+                sink.write(entry);
+            } catch (error) {
+                // A broken sink must not break logging (or the run)
             }
+        });
+    }
+
+    // Entries from oldest to newest
+    all() {
+        return this.buffer.slice(this.start).concat(this.buffer.slice(0, this.start));
+    }
+
+    get size() {
+        return this.buffer.length;
+    }
+
+    addSink(write, minLevel = 'debug') {
+        const sink = { write, minLevel };
+        this.sinks.add(sink);
+        return () => this.sinks.delete(sink);
+    }
+
+    clear() {
+        this.buffer = [];
+        this.start = 0;
+    }
+
+    // Keep the newest entries when the buffer shrinks
+    resize(capacity) {
+        const entries = this.all();
+        this.capacity = Math.max(1, capacity);
+        this.buffer = entries.slice(-this.capacity);
+        this.start = 0;
+    }
+
+    static formatText(entry) {
+        const track = entry.trackId ? ` [${entry.trackId}]` : '';
+        const context = entry.context && Object.keys(entry.context).length > 0 ? ` ${JSON.stringify(entry.context)}` : '';
+        // Table rows follow their line, one "column: value" list per row
+        const rows = (entry.table || []).map(row => `\n    ${Object.entries(row).map(([column, value]) => `${column}: ${value}`).join(', ')}`);
+        return `${entry.timestamp} ${entry.level.toUpperCase().padEnd(7)} ${entry.message}${track}${context}${rows.join('')}`;
+    }
+}
+
+// Events an integration can subscribe to with autoLiker.on(event, handler)
+const RUN_EVENTS = ['started', 'track-found', 'action', 'liked', 'skipped', 'failed', 'error', 'scroll', 'paused', 'resumed', 'finished'];
+
+// Minimal event emitter; a throwing handler is reported and never breaks the run
+class EventEmitter {
+    constructor(onHandlerError) {
+        this.handlers = new Map();
+        this.onHandlerError = onHandlerError;
+    }
+
+    on(event, handler) {
+        if (!this.handlers.has(event)) {
+            this.handlers.set(event, new Set());
         }
-        
-        if (buttons.length === 0) {
-            this.log('No like buttons found with any selector. Checking page structure...', 'debug');
-            
-            // Debug: Check what buttons exist
-            const allButtons = document.querySelectorAll('button, tp-yt-paper-icon-button, yt-icon-button');
-            this.log(`Total buttons found: ${allButtons.length}`, 'debug');
-            
-            // Sample some button attributes
-            Array.from(allButtons).slice(0, 5).forEach((btn, i) => {
-                this.log(`Button ${i}: aria-label="${btn.getAttribute('aria-label')}", title="${btn.getAttribute('title')}"`, 'debug');
-            });
+        this.handlers.get(event).add(handler);
+        return () => this.off(event, handler);
+    }
+
+    once(event, handler) {
+        const off = this.on(event, payload => {
+            off();
+            handler(payload);
+        });
+        return off;
+    }
+
+    off(event, handler) {
+        const handlers = this.handlers.get(event);
+        if (handlers) {
+            handlers.delete(handler);
         }
-        
-        // Filter out already liked buttons
-        const unlikedButtons = buttons.filter(button => {
-            const isPressed = button.getAttribute('aria-pressed') === 'true';
-            const isDisabled = button.disabled || button.getAttribute('disabled') !== null;
-            const ariaLabel = button.getAttribute('aria-label') || '';
-            const isAlreadyLiked = ariaLabel.includes('Remove from liked') || 
-                                 ariaLabel.includes('Unlike') || 
-                                 ariaLabel.includes('Dislike');
-            
-            return !isPressed && !isDisabled && !isAlreadyLiked;
+    }
+
+    emit(event, payload) {
+        const handlers = this.handlers.get(event);
+        if (!handlers) return;
+
+        Array.from(handlers).forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                if (this.onHandlerError) {
+                    this.onHandlerError(event, error);
+                }
+            }
         });
-        
-        if (buttons.length > 0 && unlikedButtons.length === 0) {
-            this.log(`Found ${buttons.length} like buttons but all appear to be already liked`, 'debug');
+    }
+}
+
+// Holds one record per track for the whole run, keyed by videoId
+class TrackRegistry {
+    constructor() {
+        this.tracks = new Map();
+    }
+
+    // Add a freshly extracted track, or refresh the record we already have for it
+    register(track) {
+        const existing = this.tracks.get(track.id);
+        if (existing) {
+            existing.rowIndex = track.rowIndex;
+            existing.likeState = track.likeState;
+            return { track: existing, isNew: false };
         }
-        
-        return unlikedButtons;
+
+        this.tracks.set(track.id, track);
+        return { track, isNew: true };
     }
 
-    // Like all currently visible songs
-    async likeVisibleSongs() {
-        const likeButtons = this.getLikeButtons();
-        
-        if (likeButtons.length === 0) {
-            this.log('No unliked songs found on current view', 'debug');
-            return 0;
+    get(id) {
+        return this.tracks.get(id);
+    }
+
+    has(id) {
+        return this.tracks.has(id);
+    }
+
+    get size() {
+        return this.tracks.size;
+    }
+
+    all() {
+        return Array.from(this.tracks.values());
+    }
+
+    // Record what the run did with a track (done, already-done, would-do, skipped)
+    setOutcome(id, outcome) {
+        const track = this.tracks.get(id);
+        if (track) {
+            track.outcome = outcome;
         }
+        return track;
+    }
 
-        this.log(`Found ${likeButtons.length} songs to like`);
-        
-        let likedCount = 0;
-        
-        for (let i = 0; i < likeButtons.length && !this.shouldStop; i++) {
-            const button = likeButtons[i];
-            
-            try {
-                // Double-check button is still valid
-                if (button.getAttribute('aria-pressed') === 'false' && !button.disabled) {
-                    // Find song title for better logging
-                    const songElement = button.closest('[data-testid*="song"]') || 
-                                      button.closest('.song-info') ||
-                                      button.closest('.ytmusic-responsive-list-item-renderer');
-                    
-                    let songTitle = 'Unknown Song';
-                    if (songElement) {
-                        const titleElement = songElement.querySelector('[title]') || 
-                                           songElement.querySelector('a[href*="watch"]') ||
-                                           songElement.querySelector('.song-title');
-                        if (titleElement) {
-                            songTitle = titleElement.textContent?.trim() || titleElement.title || 'Unknown Song';
-                        }
-                    }
-                    
-                    button.click();
-                    likedCount++;
-                    this.stats.totalLiked++;
-                    
-                    this.log(`Liked: "${songTitle}" (${this.stats.totalLiked} total)`, 'success');
-                    
-                    // Wait between clicks with random delay to avoid overwhelming the server
-                    if (i < likeButtons.length - 1) {
-                        const randomDelay = this.getRandomLikeDelay();
-                        this.log(`Waiting ${(randomDelay/1000).toFixed(1)}s before next like...`, 'debug');
-                        await this.delay(randomDelay);
-                    }
+    withOutcome(outcome) {
+        return this.all().filter(track => track.outcome === outcome);
+    }
+
+    clear() {
+        this.tracks.clear();
+    }
+}
+
+// Include/exclude rules deciding which tracks a run may touch
+class TrackFilter {
+    constructor(rules = {}) {
+        this.rules = rules;
+        this.include = this.normalizeFieldRules(rules.include);
+        this.exclude = this.normalizeFieldRules(rules.exclude);
+    }
+
+    // Turn { title, artist, album } rules into arrays of matchers (strings match case-insensitively as substrings)
+    normalizeFieldRules(fieldRules = {}) {
+        const normalized = {};
+
+        ['title', 'artist', 'album'].forEach(field => {
+            if (fieldRules[field] === undefined || fieldRules[field] === null) return;
+
+            const patterns = Array.isArray(fieldRules[field]) ? fieldRules[field] : [fieldRules[field]];
+            normalized[field] = patterns.map(pattern => {
+                // toString check instead of instanceof so regexes from another realm (e.g. a userscript sandbox) work too
+                if (Object.prototype.toString.call(pattern) === '[object RegExp]') {
+                    // test() on a /g or /y regex carries on from the last match, so start over every time
+                    return value => {
+                        pattern.lastIndex = 0;
+                        return pattern.test(value);
+                    };
                 }
+                const needle = String(pattern).toLowerCase();
+                return value => value.toLowerCase().includes(needle);
+            });
+        });
+
+        return normalized;
+    }
+
+    // Values a field rule is matched against; a track can have several artists
+    fieldValues(track, field) {
+        if (field === 'artist') return track.artists;
+        if (field === 'album') return track.album ? [track.album] : [];
+        return [track.title];
+    }
+
+    matchesField(track, field, matchers) {
+        return this.fieldValues(track, field).some(value => matchers.some(matches => matches(value)));
+    }
+
+    get isEmpty() {
+        const { minDuration, maxDuration, explicit, predicate } = this.rules;
+        return Object.keys(this.include).length === 0 &&
+            Object.keys(this.exclude).length === 0 &&
+            minDuration == null && maxDuration == null &&
+            explicit == null && typeof predicate !== 'function';
+    }
+
+    // Return the name of the first rule the track fails, or null when it passes every rule
+    check(track) {
+        for (const [field, matchers] of Object.entries(this.include)) {
+            if (!this.matchesField(track, field, matchers)) return `include.${field}`;
+        }
+
+        for (const [field, matchers] of Object.entries(this.exclude)) {
+            if (this.matchesField(track, field, matchers)) return `exclude.${field}`;
+        }
+
+        // Tracks without a readable duration are not held to the duration range
+        const { minDuration, maxDuration, explicit, predicate } = this.rules;
+        if (minDuration != null && track.duration !== null && track.duration < minDuration) return 'minDuration';
+        if (maxDuration != null && track.duration !== null && track.duration > maxDuration) return 'maxDuration';
+
+        if (explicit != null && track.explicit !== explicit) return 'explicit';
+
+        if (typeof predicate === 'function') {
+            try {
+                if (!predicate(track)) return 'predicate';
             } catch (error) {
-                this.log(`Error liking song: ${error.message}`, 'error');
+                return 'predicate error';
+            }
+        }
+
+        return null;
+    }
+}
+
+// Tracks imported from an outside list (videoIds or "artist - title" lines) that a run is limited to
+class ImportList {
+    constructor(entries = []) {
+        this.entries = entries.map(entry => this.prepareEntry(entry)).filter(Boolean);
+        this.byVideoId = new Map();
+        this.byTitle = new Map();
+        // Entry each track was matched to; an entry stands for one track only
+        this.byTrackId = new Map();
+
+        this.entries.forEach(entry => {
+            if (entry.videoId) {
+                const sameVideo = this.byVideoId.get(entry.videoId) || [];
+                sameVideo.push(entry);
+                this.byVideoId.set(entry.videoId, sameVideo);
+            }
+            if (entry.normTitle) {
+                const sameTitle = this.byTitle.get(entry.normTitle) || [];
+                sameTitle.push(entry);
+                this.byTitle.set(entry.normTitle, sameTitle);
+            }
+        });
+    }
+
+    // Accept a JSON string/array/object, CSV text (with a header row) or pasted lines
+    static parse(input) {
+        if (Array.isArray(input)) {
+            return new ImportList(input);
+        }
+        if (input && typeof input === 'object') {
+            return new ImportList(input.tracks || []);
+        }
+
+        const text = String(input || '').trim();
+
+        if (text.startsWith('[') || text.startsWith('{')) {
+            const parsed = JSON.parse(text);
+            return new ImportList(Array.isArray(parsed) ? parsed : parsed.tracks || []);
+        }
+
+        const lines = text.split(/\r?\n/).filter(line => line.trim());
+        const header = lines.length > 0 ? ImportList.parseCSVLine(lines[0]).map(cell => cell.trim().toLowerCase()) : [];
+        if (header.includes('videoid') || header.includes('title')) {
+            return new ImportList(lines.slice(1).map(line => {
+                const cells = ImportList.parseCSVLine(line);
+                const row = {};
+                header.forEach((column, i) => { row[column] = cells[i]; });
+                return { videoId: row.videoid, title: row.title, artists: row.artists || row.artist, raw: line };
+            }));
+        }
+
+        return new ImportList(lines);
+    }
+
+    // Split one CSV line, honouring double-quoted fields
+    static parseCSVLine(line) {
+        const cells = [];
+        let current = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (inQuotes) {
+                if (char === '"' && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    current += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                cells.push(current);
+                current = '';
+            } else {
+                current += char;
             }
         }
-        
-        return likedCount;
+
+        cells.push(current);
+        return cells;
+    }
+
+    // Lowercase, drop accents, "(feat. ...)", bracketed notes and "- Remastered" style suffixes
+    static normalize(text) {
+        return String(text || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[([][^)\]]*[)\]]/g, ' ')
+            .replace(/\s-\s.*(remaster|version|edit|mix|live|mono|stereo).*$/, ' ')
+            .replace(/\b(feat|ft)\.?\s.*$/, ' ')
+            .replace(/&/g, ' and ')
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    // Dice coefficient over character bigrams: 1 for identical strings, 0 for nothing in common
+    static similarity(a, b) {
+        if (a === b) return 1;
+        if (a.length < 2 || b.length < 2) return 0;
+
+        const bigrams = new Map();
+        for (let i = 0; i < a.length - 1; i++) {
+            const bigram = a.slice(i, i + 2);
+            bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+        }
+
+        let overlap = 0;
+        for (let i = 0; i < b.length - 1; i++) {
+            const bigram = b.slice(i, i + 2);
+            const count = bigrams.get(bigram) || 0;
+            if (count > 0) {
+                bigrams.set(bigram, count - 1);
+                overlap++;
+            }
+        }
+
+        return (2 * overlap) / (a.length + b.length - 2);
+    }
+
+    // "symphony no 5" and "symphony no 9" are as close as strings get, so numbers have to agree exactly
+    static numbersMatch(a, b) {
+        const numbers = text => (text.match(/\d+/g) || []).map(Number).sort((x, y) => x - y).join(' ');
+        return numbers(a) === numbers(b);
+    }
+
+    // Turn a string line or an object into { videoId, title, artists } plus normalized forms
+    prepareEntry(entry) {
+        let videoId = null;
+        let title = '';
+        let artists = [];
+        let raw = entry;
+
+        if (typeof entry === 'string') {
+            const line = entry.trim();
+            const urlMatch = line.match(/[?&]v=([\w-]{11})/);
+            // A bare 11-letter word ("Independent") is a title; a bare videoId needs a digit, "_" or "-"
+            if (urlMatch || (/^[\w-]{11}$/.test(line) && /[\d_-]/.test(line))) {
+                videoId = urlMatch ? urlMatch[1] : line;
+            } else {
+                // "Artist - Title"; a line without a separator is treated as a bare title
+                const parts = line.split(/\s+[-–—]\s+/);
+                title = parts.length > 1 ? parts.slice(1).join(' - ') : line;
+                artists = parts.length > 1 ? [parts[0]] : [];
+            }
+        } else if (entry && typeof entry === 'object') {
+            videoId = entry.videoId || null;
+            title = entry.title || '';
+            artists = Array.isArray(entry.artists) ? entry.artists : String(entry.artists || entry.artist || '').split(/\s*,\s*/);
+            raw = entry.raw || [artists.filter(Boolean).join(', '), title].filter(Boolean).join(' - ') || videoId;
+        } else {
+            return null;
+        }
+
+        artists = artists.map(artist => String(artist).trim()).filter(Boolean);
+        if (!videoId && !title) return null;
+
+        return {
+            raw,
+            videoId,
+            title,
+            artists,
+            normTitle: ImportList.normalize(title),
+            normArtists: artists.map(artist => ImportList.normalize(artist)),
+            matchedTrackIds: [],
+            matchedTrack: null
+        };
+    }
+
+    // Artists agree when any imported artist is one of the words of, or close to, any of the track's
+    // artists ("beyonce" in "beyonce and jay z"); "band 0" and "band 1" are different artists
+    artistsMatch(entry, track, threshold = 0.9) {
+        if (entry.normArtists.length === 0) return true;
+
+        const trackArtists = track.artists.map(artist => ImportList.normalize(artist));
+        return entry.normArtists.some(wanted => trackArtists.some(actual => {
+            if (!ImportList.numbersMatch(wanted, actual)) return false;
+            return ` ${actual} `.includes(` ${wanted} `) || ` ${wanted} `.includes(` ${actual} `) || ImportList.similarity(wanted, actual) >= threshold;
+        }));
+    }
+
+    // Find the imported entry for a track: exact videoId first, then the same title, then a close title
+    // with the same numbers. Entries already matched to another track are not considered
+    match(track, threshold = 0.9) {
+        if (this.byTrackId.has(track.id)) {
+            return this.byTrackId.get(track.id);
+        }
+
+        const isFree = candidate => candidate.matchedTrackIds.length === 0;
+        let entry = ((track.videoId && this.byVideoId.get(track.videoId)) || []).find(isFree) || null;
+
+        if (!entry) {
+            const normTitle = ImportList.normalize(track.title);
+            const sameTitle = (this.byTitle.get(normTitle) || []).filter(candidate => isFree(candidate) && this.artistsMatch(candidate, track));
+            entry = sameTitle[0] || null;
+
+            if (!entry) {
+                let bestScore = threshold;
+                this.entries.forEach(candidate => {
+                    if (!candidate.normTitle || !isFree(candidate) || !ImportList.numbersMatch(candidate.normTitle, normTitle)) return;
+                    const score = ImportList.similarity(candidate.normTitle, normTitle);
+                    if (score >= bestScore && this.artistsMatch(candidate, track)) {
+                        bestScore = score;
+                        entry = candidate;
+                    }
+                });
+            }
+        }
+
+        if (entry) {
+            entry.matchedTrackIds.push(track.id);
+            entry.matchedTrack = track;
+            this.byTrackId.set(track.id, entry);
+        }
+        return entry;
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    matched() {
+        return this.entries.filter(entry => entry.matchedTrackIds.length > 0);
+    }
+
+    // Imported entries no playlist row has matched so far
+    unmatched() {
+        return this.entries.filter(entry => entry.matchedTrackIds.length === 0);
+    }
+
+    // Forget matches from a previous run
+    reset() {
+        this.entries.forEach(entry => {
+            entry.matchedTrackIds = [];
+            entry.matchedTrack = null;
+        });
+        this.byTrackId.clear();
+    }
+}
+
+// Decides when the next click may happen: token buckets per minute and per hour, a daily cap kept
+// in localStorage across runs, regular longer breaks, and a slow-down factor that doubles whenever
+// YouTube Music pushes back and eases off again while clicks go through
+class RateLimiter {
+    constructor(config, storage, getBaseDelay, { clock = SYSTEM_CLOCK, random = Math.random, storageKey = 'yt-auto-like:daily-count' } = {}) {
+        // Shared with the auto-liker so runtime config edits apply immediately
+        this.config = config;
+        this.daily = new SingleKeyStore(storage, storageKey);
+        this.getBaseDelay = getBaseDelay;
+        this.clock = clock;
+        this.random = random;
+
+        this.minuteBucket = { tokens: config.maxPerMinute, last: this.clock.now() };
+        this.hourBucket = { tokens: config.maxPerHour, last: this.clock.now() };
+        this.slowdown = 1;
+        this.actionsSinceBreak = 0;
+        this.lastActionAt = 0;
+        this.nextActionAt = null;
+        this.recentActions = [];
+    }
+
+    // Top a bucket up for the time that passed since it was last used
+    refill(bucket, capacity, windowMs) {
+        const now = this.clock.now();
+        bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.last) * capacity) / windowMs);
+        bucket.last = now;
+    }
+
+    // Milliseconds until a bucket holds a whole token again
+    bucketWait(bucket, capacity, windowMs) {
+        if (!capacity) return 0;
+        this.refill(bucket, capacity, windowMs);
+        return bucket.tokens >= 1 ? 0 : Math.ceil(((1 - bucket.tokens) * windowMs) / capacity);
+    }
+
+    today() {
+        const now = new Date(this.clock.now());
+        return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    }
+
+    // Actions taken today, across every run and page load
+    getDailyCount() {
+        const saved = this.daily.get();
+        return saved && saved.date === this.today() ? saved.count : 0;
+    }
+
+    setDailyCount(count) {
+        this.daily.set({ date: this.today(), count });
+    }
+
+    isDailyCapReached() {
+        return !!this.config.dailyCap && this.getDailyCount() >= this.config.dailyCap;
+    }
+
+    // How long to wait before the next action and why; { blocked: true } once the daily cap is used up
+    nextDelay() {
+        if (this.isDailyCapReached()) {
+            this.nextActionAt = null;
+            return { wait: 0, blocked: true, reason: 'daily cap reached' };
+        }
+
+        const now = this.clock.now();
+        const candidates = [
+            { wait: this.lastActionAt ? this.lastActionAt + this.getBaseDelay() * this.slowdown - now : 0, reason: this.slowdown > 1 ? `slowed down x${this.slowdown}` : 'delay between actions' },
+            { wait: this.bucketWait(this.minuteBucket, this.config.maxPerMinute, 60000), reason: 'per-minute limit' },
+            { wait: this.bucketWait(this.hourBucket, this.config.maxPerHour, 3600000), reason: 'per-hour limit' }
+        ];
+
+        if (this.config.breakEvery && this.actionsSinceBreak >= this.config.breakEvery) {
+            const { breakMin, breakMax } = this.config;
+            candidates.push({ wait: Math.floor(this.random() * (breakMax - breakMin + 1)) + breakMin, reason: 'break', isBreak: true });
+            this.actionsSinceBreak = 0;
+        }
+
+        const longest = candidates.reduce((a, b) => (b.wait > a.wait ? b : a));
+        const wait = Math.max(0, Math.round(longest.wait));
+        this.nextActionAt = now + wait;
+        return { wait, reason: longest.reason, isBreak: !!longest.isBreak };
+    }
+
+    // Book one click against every budget
+    recordAction() {
+        const now = this.clock.now();
+        this.refill(this.minuteBucket, this.config.maxPerMinute, 60000);
+        this.refill(this.hourBucket, this.config.maxPerHour, 3600000);
+        this.minuteBucket.tokens = Math.max(0, this.minuteBucket.tokens - 1);
+        this.hourBucket.tokens = Math.max(0, this.hourBucket.tokens - 1);
+
+        this.actionsSinceBreak++;
+        this.lastActionAt = now;
+        this.nextActionAt = null;
+        this.recentActions.push(now);
+        this.recentActions = this.recentActions.filter(time => now - time < 60000);
+        this.setDailyCount(this.getDailyCount() + 1);
+    }
+
+    // Errors, toasts and unconfirmed clicks double the spacing, up to maxSlowdown
+    recordProblem() {
+        this.slowdown = Math.min(this.config.maxSlowdown, this.slowdown * 2);
+        return this.slowdown;
+    }
+
+    // Each confirmed click eases the slow-down back towards normal speed
+    recordSuccess() {
+        this.slowdown = Math.max(1, Math.floor(this.slowdown / 2));
+    }
+
+    getStatus() {
+        this.refill(this.minuteBucket, this.config.maxPerMinute, 60000);
+        this.refill(this.hourBucket, this.config.maxPerHour, 3600000);
+        const now = this.clock.now();
+        const dailyCount = this.getDailyCount();
+
+        return {
+            actionsLastMinute: this.recentActions.filter(time => now - time < 60000).length,
+            slowdownFactor: this.slowdown,
+            remaining: {
+                minute: this.config.maxPerMinute ? Math.floor(this.minuteBucket.tokens) : null,
+                hour: this.config.maxPerHour ? Math.floor(this.hourBucket.tokens) : null,
+                today: this.config.dailyCap ? Math.max(0, this.config.dailyCap - dailyCount) : null
+            },
+            usedToday: dailyCount,
+            nextActionAt: this.nextActionAt && this.nextActionAt > now ? new Date(this.nextActionAt).toLocaleTimeString() : 'now'
+        };
+    }
+}
+
+// One JSON value in localStorage under a fixed key, also kept in memory so it lasts until a reload
+// when localStorage is unavailable or full
+class SingleKeyStore {
+    constructor(storage, key) {
+        this.storage = storage;
+        this.key = key;
+        this.memory = null;
+    }
+
+    get() {
+        if (!this.storage) return this.memory;
+
+        try {
+            const raw = this.storage.getItem(this.key);
+            return raw ? JSON.parse(raw) : this.memory;
+        } catch (error) {
+            return this.memory;
+        }
+    }
+
+    // null removes the value; returns false when localStorage is unavailable or full
+    set(value) {
+        this.memory = value;
+        if (!this.storage) return false;
+
+        try {
+            if (value === null) {
+                this.storage.removeItem(this.key);
+            } else {
+                this.storage.setItem(this.key, JSON.stringify(value));
+            }
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+// JSON records in localStorage, one key per record ("<prefix><id>"), also kept in memory so they last
+// until a reload when localStorage is unavailable or full
+class PrefixedStore {
+    constructor(storage, prefix) {
+        this.storage = storage;
+        this.prefix = prefix;
+        this.memory = new Map();
+    }
+
+    key(id) {
+        return `${this.prefix}${id}`;
+    }
+
+    get(id) {
+        if (!this.storage) return this.memory.get(id) || null;
+
+        try {
+            const raw = this.storage.getItem(this.key(id));
+            return raw ? JSON.parse(raw) : this.memory.get(id) || null;
+        } catch (error) {
+            return this.memory.get(id) || null;
+        }
+    }
+
+    // Returns false when localStorage is unavailable or full
+    set(id, value) {
+        this.memory.set(id, value);
+        if (!this.storage) return false;
+
+        try {
+            this.storage.setItem(this.key(id), JSON.stringify(value));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Returns whether there was a record to remove
+    remove(id) {
+        const existed = !!this.get(id);
+        this.memory.delete(id);
+        if (this.storage) {
+            this.storage.removeItem(this.key(id));
+        }
+        return existed;
+    }
+
+    // IDs of the records in localStorage and in memory
+    ids() {
+        const ids = new Set(this.memory.keys());
+        if (this.storage) {
+            for (let i = 0; i < this.storage.length; i++) {
+                const key = this.storage.key(i);
+                if (key && key.startsWith(this.prefix)) {
+                    ids.add(key.slice(this.prefix.length));
+                }
+            }
+        }
+        return Array.from(ids);
+    }
+
+    values() {
+        return this.ids().map(id => this.get(id)).filter(Boolean);
+    }
+
+    clear() {
+        this.ids().forEach(id => this.remove(id));
+    }
+}
+
+// Saves run progress per playlist in localStorage so a run survives a page reload
+class SessionStore {
+    constructor(storage, prefix = 'yt-auto-like:session:') {
+        this.records = new PrefixedStore(storage, prefix);
+    }
+
+    load(playlistId) {
+        return this.records.get(playlistId);
+    }
+
+    // Returns false when storage is unavailable or full
+    save(session) {
+        return this.records.set(session.playlistId, session);
+    }
+
+    remove(playlistId) {
+        this.records.remove(playlistId);
+    }
+
+    list() {
+        return this.records.values();
+    }
+
+    clear() {
+        this.records.clear();
+    }
+}
+
+// Rating changes of each run, saved in localStorage under one key per run so undo() can revert them later
+class ActionJournal {
+    constructor(storage, prefix = 'yt-auto-like:journal:', maxSessions = 20) {
+        // Also kept in memory, so undo works until a reload even when localStorage is unavailable or full
+        this.records = new PrefixedStore(storage, prefix);
+        this.maxSessions = maxSessions;
+    }
+
+    load(id) {
+        return this.records.get(id);
+    }
+
+    // Returns false when localStorage is unavailable or full
+    save(session) {
+        return this.records.set(session.id, session);
+    }
+
+    remove(id) {
+        this.records.remove(id);
+    }
+
+    // Oldest first
+    list() {
+        return this.records.values().sort((a, b) => a.startedAt - b.startedAt);
+    }
+
+    // Drop the oldest journals beyond maxSessions
+    prune() {
+        const sessions = this.list();
+        sessions.slice(0, Math.max(0, sessions.length - this.maxSessions)).forEach(session => this.remove(session.id));
+    }
+
+    clear() {
+        this.records.clear();
+    }
+}
+
+// Track lists of complete runs, the last few per playlist, so diff() can tell what changed in between
+class PlaylistSnapshots {
+    constructor(storage, prefix = 'yt-auto-like:snapshots:', keep = 2, maxPlaylists = 30) {
+        // Also kept in memory, so diffs work until a reload even when localStorage is unavailable or full
+        this.records = new PrefixedStore(storage, prefix);
+        this.keep = keep;
+        this.maxPlaylists = maxPlaylists;
+    }
+
+    // { playlistId, title, snapshots } with the snapshots oldest first
+    load(playlistId) {
+        return this.records.get(playlistId);
+    }
+
+    latest(playlistId) {
+        const entry = this.load(playlistId);
+        return entry && entry.snapshots.length > 0 ? entry.snapshots[entry.snapshots.length - 1] : null;
+    }
+
+    // Add a snapshot, dropping the playlist's oldest beyond keep; returns false when localStorage is unavailable or full
+    add(snapshot) {
+        const existing = this.load(snapshot.playlistId);
+        const entry = {
+            playlistId: snapshot.playlistId,
+            title: snapshot.title,
+            snapshots: [...(existing ? existing.snapshots : []), snapshot].slice(-this.keep)
+        };
+
+        const saved = this.records.set(entry.playlistId, entry);
+        this.prune();
+        return saved;
+    }
+
+    remove(playlistId) {
+        return this.records.remove(playlistId);
+    }
+
+    // Least recently snapshotted first
+    list() {
+        const takenAt = entry => entry.snapshots.length > 0 ? entry.snapshots[entry.snapshots.length - 1].takenAt : 0;
+        return this.records.values().sort((a, b) => takenAt(a) - takenAt(b));
+    }
+
+    // Forget the playlists snapshotted longest ago beyond maxPlaylists
+    prune() {
+        const entries = this.list();
+        entries.slice(0, Math.max(0, entries.length - this.maxPlaylists)).forEach(entry => this.remove(entry.playlistId));
+    }
+
+    clear() {
+        this.records.clear();
+    }
+
+    // Tracks added and removed between two snapshots, and the ones that moved. Moved are the fewest tracks
+    // that explain the new order: everything outside the longest run of tracks still in their old order
+    static compare(previous, current) {
+        const oldPositions = new Map(previous.tracks.map((track, index) => [track.id, index]));
+        const newIds = new Set(current.tracks.map(track => track.id));
+
+        const added = current.tracks
+            .map((track, index) => ({ ...track, position: index + 1 }))
+            .filter(track => !oldPositions.has(track.id));
+        const removed = previous.tracks
+            .map((track, index) => ({ ...track, position: index + 1 }))
+            .filter(track => !newIds.has(track.id));
+
+        const kept = current.tracks
+            .map((track, index) => ({ track, from: oldPositions.get(track.id), to: index }))
+            .filter(entry => entry.from !== undefined);
+        const inOrder = PlaylistSnapshots.longestIncreasingRun(kept.map(entry => entry.from));
+        const moved = kept
+            .filter((entry, index) => !inOrder.has(index))
+            .map(({ track, from, to }) => ({ ...track, from: from + 1, to: to + 1 }));
+
+        return { added, removed, moved, unchanged: kept.length - moved.length };
+    }
+
+    // Indexes of one longest strictly increasing subsequence of values
+    static longestIncreasingRun(values) {
+        const tails = [];
+        const previous = new Array(values.length).fill(-1);
+
+        values.forEach((value, index) => {
+            let low = 0;
+            let high = tails.length;
+            while (low < high) {
+                const middle = (low + high) >> 1;
+                if (values[tails[middle]] < value) {
+                    low = middle + 1;
+                } else {
+                    high = middle;
+                }
+            }
+            if (low > 0) previous[index] = tails[low - 1];
+            tails[low] = index;
+        });
+
+        const run = new Set();
+        for (let index = tails.length > 0 ? tails[tails.length - 1] : -1; index !== -1; index = previous[index]) {
+            run.add(index);
+        }
+        return run;
+    }
+}
+
+// Playlists queued by runBatch(), persisted so a stopped or interrupted batch can be resumed
+class BatchQueue {
+    constructor(storage, clock = SYSTEM_CLOCK, storageKey = 'yt-auto-like:batch') {
+        this.clock = clock;
+        this.stored = new SingleKeyStore(storage, storageKey);
+        this.state = this.stored.get();
+    }
+
+    // Without localStorage the batch still runs, it just can't be resumed after a reload
+    save() {
+        this.stored.set(this.state);
+    }
+
+    create(entries) {
+        this.state = {
+            createdAt: this.clock.now(),
+            items: entries.map(({ input, playlistId }) => ({
+                input,
+                playlistId,
+                title: null,
+                // 'pending', 'running', 'stopped', 'done' or 'failed'
+                status: 'pending',
+                error: null,
+                stats: null,
+                startedAt: null,
+                finishedAt: null
+            }))
+        };
+        this.save();
+        return this.state;
+    }
+
+    get items() {
+        return this.state ? this.state.items : [];
+    }
+
+    // Sessions started by this batch carry it, so only those are picked up again
+    get id() {
+        return this.state ? this.state.createdAt : null;
+    }
+
+    // Next playlist to process; one that was running when the page reloaded counts as stopped
+    next() {
+        return this.items.find(item => ['pending', 'stopped', 'running'].includes(item.status)) || null;
+    }
+
+    hasPending() {
+        return !!this.next();
+    }
+
+    update(item, changes) {
+        Object.assign(item, changes);
+        this.save();
+    }
+
+    clear() {
+        this.state = null;
+        this.save();
+    }
+}
+
+// Pace of a run: every preset sets the same settings, so switching presets replaces all of them
+const CONFIG_PRESETS = {
+    cautious: {
+        likeDelayMin: 2500, likeDelayMax: 5000, scrollDelay: 5000, loadWaitTime: 6000,
+        maxPerMinute: 12, maxPerHour: 400, dailyCap: 1000, breakEvery: 50, breakMin: 60000, breakMax: 180000
+    },
+    normal: {
+        likeDelayMin: 1200, likeDelayMax: 2300, scrollDelay: 3000, loadWaitTime: 4000,
+        maxPerMinute: 30, maxPerHour: 1000, dailyCap: 3000, breakEvery: 100, breakMin: 30000, breakMax: 90000
+    },
+    fast: {
+        likeDelayMin: 500, likeDelayMax: 1000, scrollDelay: 2000, loadWaitTime: 3000,
+        maxPerMinute: 60, maxPerHour: 2000, dailyCap: 5000, breakEvery: 200, breakMin: 15000, breakMax: 45000
+    }
+};
+
+// Every setting: its type, default and allowed range. live: false settings shape a whole run, so
+// configure() only accepts them between runs; persist: false ones can't be stored as JSON
+const CONFIG_SCHEMA = {
+    // Named set of delays and rate limits the other settings start from (see CONFIG_PRESETS)
+    preset: { type: 'enum', default: 'normal', values: Object.keys(CONFIG_PRESETS) },
+    // Random delay range between liking individual songs (milliseconds)
+    likeDelayMin: { type: 'number', default: 1200, min: 0 },
+    likeDelayMax: { type: 'number', default: 2300, min: 0 },
+    // Delay between scroll cycles (milliseconds)
+    scrollDelay: { type: 'number', default: 3000, min: 0 },
+    // Scroll distance in pixels
+    scrollDistance: { type: 'number', default: 600, min: 1 },
+    // Maximum number of scroll attempts to prevent infinite loops
+    maxScrollAttempts: { type: 'integer', default: 75, min: 1 },
+    // Longest wait for new rows after scrolling (milliseconds)
+    loadWaitTime: { type: 'number', default: 4000, min: 0 },
+    // Lowest level shown in the console and the panel (verbose: false is the same as 'info')
+    logLevel: { type: 'enum', default: 'debug', values: Object.keys(LOG_LEVELS) },
+    // How many log entries are kept in memory for downloadLog()
+    logBufferSize: { type: 'integer', default: 2000, min: 1 },
+    // Walk the playlist and report what would be liked without clicking anything
+    dryRun: { type: 'boolean', default: false, live: false },
+    // Rules deciding which songs get liked (see TrackFilter)
+    filter: { type: 'object', default: {}, persist: false },
+    // What to do with each song: 'like', 'unlike', 'dislike', 'clear-rating',
+    // 'add-to-playlist', 'save-to-library' or 'add-to-queue'
+    mode: { type: 'enum', default: 'like', values: Object.keys(ACTION_MODES), live: false },
+    // Name of the playlist songs are added to in 'add-to-playlist' mode
+    targetPlaylist: { type: 'string', default: null, nullable: true, live: false },
+    // Save progress in localStorage so the run can be resumed with autoLiker.resume()
+    persistSession: { type: 'boolean', default: true },
+    // Record every rating change in a journal so the run can be reverted with autoLiker.undo()
+    journal: { type: 'boolean', default: true },
+    // Save the playlist's track list after every complete run so autoLiker.diff() can compare runs
+    snapshots: { type: 'boolean', default: true },
+    // Only act on tracks that are not in the playlist's last snapshot
+    onlyNewTracks: { type: 'boolean', default: false, live: false },
+    // How long to wait for a click to show up in the button state (milliseconds)
+    verifyTimeout: { type: 'number', default: 3000, min: 100 },
+    // Extra attempts for a click that wasn't confirmed, and the first wait between them (doubles each time)
+    maxRetries: { type: 'integer', default: 2, min: 0 },
+    retryBackoff: { type: 'number', default: 1000, min: 0 },
+    // Rate limits: clicks per minute / per hour, and per day across runs (0 disables a limit)
+    maxPerMinute: { type: 'integer', default: 30, min: 0 },
+    maxPerHour: { type: 'integer', default: 1000, min: 0 },
+    dailyCap: { type: 'integer', default: 3000, min: 0 },
+    // Take a longer random break (breakMin-breakMax milliseconds) every N clicks (0 disables breaks)
+    breakEvery: { type: 'integer', default: 100, min: 0 },
+    breakMin: { type: 'number', default: 30000, min: 0 },
+    breakMax: { type: 'number', default: 90000, min: 0 },
+    // Upper bound for the automatic slow-down after errors (multiplier of the like delay)
+    maxSlowdown: { type: 'number', default: 16, min: 1 },
+    // Selector profile: 'auto' picks one from the page language, or a name such as 'de'
+    profile: { type: 'string', default: 'auto', live: false },
+    // Kind of page: 'auto' detects it from the URL, or one of the PAGE_TYPES names
+    pageType: { type: 'enum', default: 'auto', values: ['auto', ...Object.keys(PAGE_TYPES)], live: false },
+    // Longest wait for a batch playlist to render after navigating to it (milliseconds)
+    navigationTimeout: { type: 'number', default: 15000, min: 0 },
+    // Share of the header's declared track count a run should see (0 disables the check). While below it,
+    // scrolling goes on past maxScrollAttempts as long as rows keep loading
+    coverageTarget: { type: 'number', default: 1, min: 0, max: 1 },
+    // Extra scrolls when the list looks finished but tracks are still missing
+    coverageRetries: { type: 'integer', default: 3, min: 0 }
+};
+
+// Checks involving more than one setting
+const CONFIG_RULES = [
+    { check: config => config.likeDelayMin <= config.likeDelayMax, message: 'likeDelayMin must not be larger than likeDelayMax' },
+    { check: config => config.breakMin <= config.breakMax, message: 'breakMin must not be larger than breakMax' },
+    { check: config => config.mode !== 'add-to-playlist' || !!config.targetPlaylist, message: 'the add-to-playlist mode needs targetPlaylist, the name of the playlist to add songs to' }
+];
+
+// Settings chosen with configure(), kept in localStorage: the preset, changed values and per-playlist overrides
+class ConfigStore {
+    constructor(storage, storageKey = 'yt-auto-like:config') {
+        this.stored = new SingleKeyStore(storage, storageKey);
+        this.state = this.load();
+    }
+
+    load() {
+        const state = this.stored.get() || {};
+        // Settings a newer or older version knew about are dropped rather than failing validation
+        return {
+            preset: CONFIG_PRESETS[state.preset] ? state.preset : null,
+            values: ConfigStore.known(state.values || {}),
+            playlists: Object.fromEntries(Object.entries(state.playlists || {})
+                .map(([playlistId, values]) => [playlistId, ConfigStore.known(values)]))
+        };
+    }
+
+    // Without localStorage the settings only last until the page is closed
+    save() {
+        this.stored.set(this.state);
+    }
+
+    // A new preset replaces the saved values it covers
+    setPreset(preset) {
+        this.state.preset = preset;
+        Object.keys(CONFIG_PRESETS[preset]).forEach(key => delete this.state.values[key]);
+        this.save();
+    }
+
+    setValues(values) {
+        Object.assign(this.state.values, values);
+        this.save();
+    }
+
+    getPlaylist(playlistId) {
+        return this.state.playlists[playlistId] || null;
+    }
+
+    setPlaylist(playlistId, values) {
+        this.state.playlists[playlistId] = { ...(this.state.playlists[playlistId] || {}), ...values };
+        this.save();
+    }
+
+    // Forget the saved preset and values, or one playlist's overrides
+    reset(playlistId) {
+        if (playlistId) {
+            const existed = !!this.state.playlists[playlistId];
+            delete this.state.playlists[playlistId];
+            this.save();
+            return existed;
+        }
+        this.state.preset = null;
+        this.state.values = {};
+        this.save();
+        return true;
+    }
+
+    static known(values) {
+        return Object.fromEntries(Object.entries(values).filter(([key]) => CONFIG_SCHEMA[key] && CONFIG_SCHEMA[key].persist !== false));
+    }
+
+    static defaults() {
+        return Object.fromEntries(Object.entries(CONFIG_SCHEMA).map(([key, rule]) =>
+            [key, rule.default && typeof rule.default === 'object' ? { ...rule.default } : rule.default]));
+    }
+
+    // Problem with one value, or null when it fits the schema
+    static checkValue(key, value) {
+        const rule = CONFIG_SCHEMA[key];
+        if (!rule) return `unknown setting "${key}"`;
+        if (value === null && rule.nullable) return null;
+
+        switch (rule.type) {
+            case 'number':
+            case 'integer':
+                if (typeof value !== 'number' || !Number.isFinite(value)) return `${key} must be a number (got ${JSON.stringify(value)})`;
+                if (rule.type === 'integer' && !Number.isInteger(value)) return `${key} must be a whole number (got ${value})`;
+                if (rule.min !== undefined && value < rule.min) return `${key} must be at least ${rule.min} (got ${value})`;
+                if (rule.max !== undefined && value > rule.max) return `${key} must be at most ${rule.max} (got ${value})`;
+                return null;
+            case 'boolean':
+                return typeof value === 'boolean' ? null : `${key} must be true or false (got ${JSON.stringify(value)})`;
+            case 'string':
+                return typeof value === 'string' && value.trim() ? null : `${key} must be a non-empty string (got ${JSON.stringify(value)})`;
+            case 'enum':
+                return rule.values.includes(value) ? null : `${key} must be one of: ${rule.values.join(', ')} (got ${JSON.stringify(value)})`;
+            case 'object':
+                return value && typeof value === 'object' && !Array.isArray(value) ? null : `${key} must be an object`;
+            default:
+                return null;
+        }
+    }
+
+    // Every problem with a complete config, per setting and across settings
+    static validate(config) {
+        const errors = Object.entries(config)
+            .map(([key, value]) => ConfigStore.checkValue(key, value))
+            .filter(Boolean);
+        // Cross-setting checks only make sense once the values themselves are fine
+        if (errors.length === 0) {
+            CONFIG_RULES.filter(rule => !rule.check(config)).forEach(rule => errors.push(rule.message));
+        }
+        return errors;
+    }
+}
+
+// Playlists that watch mode runs on by itself, each with the tracks seen so far (their settings are
+// ConfigStore's per-playlist overrides)
+class WatchList {
+    constructor(storage, storageKey = 'yt-auto-like:watch') {
+        this.stored = new SingleKeyStore(storage, storageKey);
+        this.state = this.stored.get() || { enabled: false, playlists: {} };
+    }
+
+    // Without localStorage the allow-list only lasts until the page is closed
+    save() {
+        this.stored.set(this.state);
+    }
+
+    get enabled() {
+        return !!this.state.enabled;
+    }
+
+    setEnabled(enabled) {
+        this.state.enabled = enabled;
+        this.save();
+    }
+
+    get(playlistId) {
+        return this.state.playlists[playlistId] || null;
+    }
+
+    set(playlistId, entry) {
+        this.state.playlists[playlistId] = entry;
+        this.save();
+    }
+
+    remove(playlistId) {
+        const existed = !!this.state.playlists[playlistId];
+        delete this.state.playlists[playlistId];
+        this.save();
+        return existed;
+    }
+
+    list() {
+        return Object.entries(this.state.playlists).map(([playlistId, entry]) => ({ playlistId, ...entry }));
+    }
+}
+
+// Floating on-page controls for people who'd rather not use the console; rendered in a
+// shadow root so YouTube Music's styles don't leak in (or ours out)
+class ControlPanel {
+    constructor(autoLiker, options = {}) {
+        this.autoLiker = autoLiker;
+        this.document = autoLiker.document;
+        this.clock = autoLiker.clock;
+        this.logLines = options.logLines || 8;
+        this.host = null;
+        this.root = null;
+        this.refreshTimer = null;
+    }
+
+    // Config values editable from the panel
+    static get FIELDS() {
+        return [
+            { key: 'preset', label: 'Preset', type: 'select', options: Object.keys(CONFIG_PRESETS) },
+            { key: 'likeDelayMin', label: 'Min like delay (ms)', type: 'number' },
+            { key: 'likeDelayMax', label: 'Max like delay (ms)', type: 'number' },
+            { key: 'scrollDelay', label: 'Scroll delay (ms)', type: 'number' },
+            { key: 'scrollDistance', label: 'Scroll distance (px)', type: 'number' },
+            { key: 'maxScrollAttempts', label: 'Max scroll attempts', type: 'number' },
+            { key: 'loadWaitTime', label: 'Load wait (ms)', type: 'number' },
+            { key: 'logLevel', label: 'Log level', type: 'select', options: Object.keys(LOG_LEVELS) }
+        ];
+    }
+
+    get isShown() {
+        return !!this.host;
+    }
+
+    show() {
+        if (this.host) return;
+
+        this.host = this.document.createElement('div');
+        this.host.id = 'yt-auto-like-panel';
+        this.root = this.host.attachShadow({ mode: 'open' });
+        this.root.innerHTML = `
+            <style>
+                :host { all: initial; }
+                .panel { position: fixed; right: 16px; bottom: 88px; z-index: 2147483647; width: 300px;
+                         background: #212121; color: #fff; border: 1px solid #3d3d3d; border-radius: 8px;
+                         font: 12px/1.4 Roboto, Arial, sans-serif; box-shadow: 0 4px 16px rgba(0,0,0,.5); }
+                header { display: flex; align-items: center; justify-content: space-between; padding: 8px 10px;
+                         border-bottom: 1px solid #3d3d3d; font-weight: bold; }
+                section { padding: 8px 10px; }
+                .controls { display: flex; gap: 6px; }
+                button { flex: 1; padding: 5px 0; border: 0; border-radius: 4px; background: #3d3d3d; color: #fff;
+                         cursor: pointer; font: inherit; }
+                button:hover:not(:disabled) { background: #555; }
+                button:disabled { opacity: .4; cursor: default; }
+                button.primary { background: #c00; }
+                header button { flex: 0 0 auto; padding: 0 6px; background: none; font-size: 14px; }
+                .bar { height: 6px; background: #3d3d3d; border-radius: 3px; overflow: hidden; margin: 4px 0; }
+                .bar div { height: 100%; width: 0; background: #c00; transition: width .3s; }
+                .counters { display: grid; grid-template-columns: 1fr 1fr; gap: 2px 8px; }
+                .log { max-height: 120px; overflow-y: auto; font-family: monospace; font-size: 11px;
+                       white-space: pre-wrap; word-break: break-word; }
+                .log .error { color: #ff6b6b; } .log .warning { color: #ffd166; }
+                .log .success { color: #7bd88f; } .log .debug { color: #9e9e9e; }
+                label { display: flex; justify-content: space-between; align-items: center; margin: 2px 0; }
+                input[type=number] { width: 80px; background: #121212; color: #fff; border: 1px solid #3d3d3d;
+                                     border-radius: 3px; padding: 2px 4px; font: inherit; }
+                .settings-error { color: #ff6b6b; margin-top: 4px; }
+                details summary { cursor: pointer; }
+                .collapsed section { display: none; }
+            </style>
+            <div class="panel">
+                <header>
+                    <span>🎵 YT Auto-Like</span>
+                    <span>
+                        <button data-action="collapse" title="Collapse">▁</button>
+                        <button data-action="close" title="Close">✕</button>
+                    </span>
+                </header>
+                <section class="controls">
+                    <button data-action="start" class="primary">Start</button>
+                    <button data-action="pause">Pause</button>
+                    <button data-action="stop">Stop</button>
+                </section>
+                <section>
+                    <div data-field="state"></div>
+                    <div class="bar"><div data-field="progress"></div></div>
+                    <div class="counters" data-field="counters"></div>
+                </section>
+                <section><div class="log" data-field="log"></div></section>
+                <section>
+                    <details>
+                        <summary>Settings</summary>
+                        <div data-field="settings"></div>
+                        <div class="settings-error" data-field="settingsError" hidden></div>
+                    </details>
+                </section>
+            </div>`;
+
+        this.renderSettings();
+        this.root.addEventListener('click', event => this.handleClick(event));
+
+        this.document.body.appendChild(this.host);
+        this.refresh();
+        this.refreshTimer = this.clock.setInterval(() => this.refresh(), 1000);
+    }
+
+    hide() {
+        if (!this.host) return;
+
+        this.clock.clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+        this.host.remove();
+        this.host = null;
+        this.root = null;
+    }
+
+    field(name) {
+        return this.root.querySelector(`[data-field="${name}"]`);
+    }
+
+    renderSettings() {
+        const container = this.field('settings');
+
+        ControlPanel.FIELDS.forEach(({ key, label, type, options }) => {
+            const row = this.document.createElement('label');
+            const text = this.document.createElement('span');
+            const input = this.document.createElement(type === 'select' ? 'select' : 'input');
+
+            text.textContent = label;
+            input.dataset.key = key;
+            if (type === 'select') {
+                options.forEach(value => {
+                    const option = this.document.createElement('option');
+                    option.value = value;
+                    option.textContent = value;
+                    input.appendChild(option);
+                });
+                input.value = this.autoLiker.config[key];
+            } else {
+                input.type = type;
+                input.min = '0';
+                input.value = this.autoLiker.config[key];
+            }
+
+            input.addEventListener('change', () => this.updateConfig(input));
+            row.append(text, input);
+            container.appendChild(row);
+        });
+    }
+
+    // Config is read on every cycle, so edits apply to a running script straight away; they are
+    // checked and saved like autoLiker.configure() calls
+    updateConfig(input) {
+        const { key } = input.dataset;
+        const value = input.tagName === 'SELECT' ? input.value : (input.value.trim() === '' ? NaN : Number(input.value));
+
+        // A rejected value is explained under the settings and the field goes back to the value in use
+        const { errors } = this.autoLiker.configure({ [key]: value });
+        const label = ControlPanel.FIELDS.find(field => field.key === key).label;
+        this.showSettingsError(errors.length > 0 ? `${label} not changed: ${errors.join('; ')}` : null);
+        this.syncSettings();
+    }
+
+    showSettingsError(message) {
+        const error = this.field('settingsError');
+        error.textContent = message || '';
+        error.hidden = !message;
+    }
+
+    // Show the values in use, e.g. after a preset changed several of them
+    syncSettings() {
+        if (!this.root) return;
+
+        this.root.querySelectorAll('[data-field="settings"] [data-key]').forEach(input => {
+            input.value = this.autoLiker.config[input.dataset.key];
+        });
+    }
+
+    handleClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const autoLiker = this.autoLiker;
+        switch (button.dataset.action) {
+            case 'start':
+                autoLiker.start();
+                break;
+            case 'pause':
+                // Resume covers both a paused run and a saved session interrupted by a reload
+                if (autoLiker.isRunning && !autoLiker.isPaused) {
+                    autoLiker.pause();
+                } else {
+                    autoLiker.resume();
+                }
+                break;
+            case 'stop':
+                autoLiker.stop();
+                break;
+            case 'collapse':
+                this.root.querySelector('.panel').classList.toggle('collapsed');
+                break;
+            case 'close':
+                this.hide();
+                return;
+        }
+
+        // Let the run update its state before redrawing
+        this.clock.setTimeout(() => this.refresh(), 0);
+    }
+
+    refresh() {
+        if (!this.root) return;
+
+        const status = this.autoLiker.getStatus();
+        const handled = status.totalActions + status.alreadyDone + status.skipped + status.wouldAct;
+        const seen = status.uniqueTracksSeen;
+        const percent = seen > 0 ? Math.min(100, Math.round((handled / seen) * 100)) : 0;
+
+        const runState = status.isPaused ? 'Paused' : 'Running';
+        this.field('state').textContent = status.isRunning
+            ? `${runState} (${status.mode}${status.dryRun ? ', dry run' : ''}) - ${status.runtimeSeconds}s`
+            : 'Idle';
+        this.field('progress').style.width = `${percent}%`;
+
+        const counters = {
+            [status.mode === 'like' ? 'Liked' : 'Changed']: status.totalActions,
+            'Already done': status.alreadyDone,
+            'Skipped': status.skipped,
+            'Failed': status.failed,
+            'Tracks seen': seen,
+            'Rate': `${status.rateLimit.actionsLastMinute}/min`,
+            'Left today': status.rateLimit.remaining.today === null ? '∞' : status.rateLimit.remaining.today,
+            'Next action': status.rateLimit.nextActionAt,
+            'Scrolls': `${status.scrollAttempts}/${status.config.maxScrollAttempts}`,
+            'Handled': `${percent}%`
+        };
+        const countersElement = this.field('counters');
+        countersElement.textContent = '';
+        Object.entries(counters).forEach(([label, value]) => {
+            const item = this.document.createElement('div');
+            item.textContent = `${label}: ${value}`;
+            countersElement.appendChild(item);
+        });
+
+        const logElement = this.field('log');
+        logElement.textContent = '';
+        this.autoLiker.getRecentLogs(this.logLines).forEach(({ time, type, message }) => {
+            const line = this.document.createElement('div');
+            line.className = type;
+            line.textContent = `[${time}] ${message}`;
+            logElement.appendChild(line);
+        });
+        logElement.scrollTop = logElement.scrollHeight;
+
+        const resumable = !status.isRunning && this.autoLiker.hasResumableSession();
+        const buttons = {
+            start: !status.isRunning,
+            pause: status.isRunning || resumable,
+            stop: status.isRunning
+        };
+        Object.entries(buttons).forEach(([action, enabled]) => {
+            this.root.querySelector(`[data-action="${action}"]`).disabled = !enabled;
+        });
+        this.root.querySelector('[data-action="pause"]').textContent = status.isPaused || resumable ? 'Resume' : 'Pause';
+    }
+}
+
+class YouTubeMusicAutoLike {
+    constructor(options = {}, environment = {}) {
+        // Page, timers and randomness; injectable so the core can run outside a browser
+        this.env = resolveEnvironment(environment);
+        this.window = this.env.window;
+        this.document = this.env.document;
+        this.clock = this.env.clock;
+        this.random = this.env.random;
+
+        // Defaults, then the preset, then what configure() saved, then the options passed in (see CONFIG_SCHEMA);
+        // every invalid value is reported at once
+        this.configStore = new ConfigStore(this.env.storage);
+        // Where each setting's value came from: 'default', 'preset', 'saved', 'option', 'configure', 'playlist'
+        // or 'session' (a resumed run's own settings)
+        this.configSources = {};
+        this.initialOptions = options;
+        this.config = this.buildConfig(options);
+        // Set while a run uses a playlist's own settings or those of the session it resumes: the playlist ID,
+        // whether the playlist has settings of its own, and the values they replaced
+        this.activeOverrides = null;
+        // Settings of the saved session resume() is about to continue, applied by start()
+        this.resumedConfig = null;
+
+        this.filter = new TrackFilter(this.config.filter);
+
+        // Selectors and UI labels; the active profile is resolved on first use
+        this.profiles = new SelectorProfiles();
+        this.activeProfile = null;
+
+        // Kind of page being processed (a PAGE_TYPES name), detected when a run starts
+        this.pageType = null;
+
+        // Set by importTracks(): when present only matching songs are acted on
+        this.importList = null;
+        
+        this.stats = {
+            totalLiked: 0,
+            // Songs the current mode acted on / found already in the target state / would act on in a dry run
+            totalActions: 0,
+            alreadyDone: 0,
+            wouldAct: 0,
+            skipped: 0,
+            skipReasons: {},
+            // Click outcomes: the state flipped / YouTube Music rejected it / no answer before the timeout
+            confirmed: 0,
+            failed: 0,
+            unverified: 0,
+            scrollAttempts: 0,
+            startTime: this.clock.now(),
+            // Time spent paused, kept apart from active runtime (milliseconds)
+            pausedTime: 0
+        };
+
+        // Every track seen during the current run, deduplicated by videoId
+        this.registry = new TrackRegistry();
+
+        // Saved progress of the current run (null when not persisting)
+        const storage = this.env.storage;
+        this.sessions = new SessionStore(storage);
+        this.rateLimiter = new RateLimiter(this.config, storage, () => this.getRandomLikeDelay(), { clock: this.clock, random: this.random });
+        this.batch = new BatchQueue(storage, this.clock);
+        this.journal = new ActionJournal(storage);
+        this.snapshots = new PlaylistSnapshots(storage);
+        // Set for onlyNewTracks runs: the snapshot whose tracks are left alone. Changes found by the last
+        // snapshot taken, and whether the last collectAllTracks() reached the end of the list
+        this.snapshotBaseline = null;
+        this.lastChanges = null;
+        this.lastCollectionComplete = false;
+        // Journal of the current run (created with its first click), and what undo() restores per track
+        this.journalSession = null;
+        this.undoPlan = null;
+        this.undoSource = null;
+        this.isBatchRunning = false;
+        this.watchList = new WatchList(storage);
+        this.migrateWatchListConfigs();
+        // Listeners and timer of watch mode (null when off), the URL it last handled and the playlist
+        // a watch run is working on
+        this.watcher = null;
+        this.lastWatchedUrl = null;
+        this.watchRunId = null;
+        // Set for watch runs: tracks seen in earlier runs, which are left alone
+        this.knownTrackIds = null;
+        this.session = null;
+        this.isResuming = false;
+        this.lastScanResumed = false;
+
+        // Set by retryFailed(): only these track ids are processed
+        this.retryOnly = null;
+
+        this.isRunning = false;
+        this.shouldStop = false;
+        // Why the current run is ending ('stopped', 'max-scroll', 'daily-cap', 'stalled', 'error'), and the error behind it
+        this.endReason = null;
+        this.fatalError = null;
+        // Result of the last start(), also passed to 'finished' handlers
+        this.lastResult = null;
+        // Outcome of the last scrollToLoadMore() in the current run, and whether the run went on past
+        // maxScrollAttempts because the declared track count wasn't reached yet
+        this.lastLoad = null;
+        this.extendedForCoverage = false;
+        this.isPaused = false;
+        this.pausedAt = null;
+        // Loops waiting at a safe point for resume() or stop()
+        this.pauseWaiters = [];
+
+        this.events = new EventEmitter((event, error) => this.log(`A "${event}" handler threw: ${error.message}`, 'error'));
+
+        // Every log entry of this instance; the console is one sink, more can be added with addLogSink()
+        this.logger = new RunLog(this.config.logBufferSize);
+        this.logger.addSink(entry => this.writeToConsole(entry), () => this.config.logLevel);
+        // Counts start() calls so log entries can be told apart per run
+        this.runNumber = 0;
+        this.panel = new ControlPanel(this);
+        
+        // Bind methods to maintain context
+        this.stop = this.stop.bind(this);
+        this.pause = this.pause.bind(this);
+        this.resume = this.resume.bind(this);
+        this.getStatus = this.getStatus.bind(this);
+    }
+
+    // Settings of the current action mode
+    get mode() {
+        return this.undoPlan ? UNDO_MODE : ACTION_MODES[this.config.mode];
+    }
+
+    // Name of what the current run does: the configured mode, or 'undo'
+    get modeName() {
+        return this.undoPlan ? 'undo' : this.config.mode;
+    }
+
+    // Mode applied to one track: the run's mode, or while undoing the one that brings back the track's earlier rating
+    modeFor(track) {
+        const planned = this.undoPlan && this.undoPlan.get(track.id);
+        return planned ? ACTION_MODES[planned.mode] : this.mode;
+    }
+
+    // Subscribe to a run event (see RUN_EVENTS); returns a function that unsubscribes again
+    on(event, handler) {
+        this.checkEventName(event);
+        return this.events.on(event, handler);
+    }
+
+    // Like on(), but the handler only runs for the next occurrence
+    once(event, handler) {
+        this.checkEventName(event);
+        return this.events.once(event, handler);
+    }
+
+    checkEventName(event) {
+        if (!RUN_EVENTS.includes(event)) {
+            this.log(`Unknown event "${event}". Available: ${RUN_EVENTS.join(', ')}`, 'warning');
+        }
+    }
+
+    off(event, handler) {
+        this.events.off(event, handler);
+    }
+
+    emit(event, payload) {
+        this.events.emit(event, payload);
+    }
+
+    // Selector profile in use, resolved from the config or the page language
+    getSelectorProfile() {
+        if (!this.activeProfile) {
+            this.activeProfile = this.resolveProfile();
+        }
+        return this.activeProfile;
+    }
+
+    resolveProfile() {
+        if (this.config.profile !== 'auto') {
+            const profile = this.profiles.get(this.config.profile);
+            if (profile) return profile;
+            this.log(`Unknown selector profile "${this.config.profile}", detecting from the page language instead`, 'warning');
+        }
+        return this.profiles.detect(this.document.documentElement.lang);
+    }
+
+    // Add a custom selector profile, e.g. for a UI language without a built-in label table
+    registerProfile(profile) {
+        try {
+            const registered = this.profiles.register(profile);
+            if (!this.isRunning) {
+                this.activeProfile = null;
+            }
+            this.log(`Registered selector profile "${registered.name}"${registered.lang.length ? ` for ${registered.lang.join(', ')}` : ''}`, 'success');
+            return true;
+        } catch (error) {
+            this.log(error.message, 'error');
+            return false;
+        }
+    }
+
+    // Pick a selector profile by name, or 'auto' to detect it from the page language; saved like configure()
+    useProfile(name = 'auto') {
+        if (name !== 'auto' && !this.profiles.get(name)) {
+            this.log(`Unknown selector profile "${name}". Registered: ${this.profiles.names().join(', ')}`, 'error');
+            return false;
+        }
+        if (this.isRunning) {
+            this.log('Cannot change the selector profile while the script is running', 'warning');
+            return false;
+        }
+
+        if (!this.configure({ profile: name }).ok) return false;
+        this.log(`Using selector profile "${this.getSelectorProfile().name}"`);
+        return true;
+    }
+
+    // Work out which kind of page is open; returns { type, error } with type null when unsupported
+    detectPageType() {
+        const supported = 'Open a playlist, an album, an artist page, the Songs tab of search results or, for the row menu modes, the player queue';
+
+        let type = null;
+        if (this.config.pageType !== 'auto') {
+            if (!PAGE_TYPES[this.config.pageType]) {
+                return { type: null, error: `Unknown page type "${this.config.pageType}". Use 'auto' or one of: ${Object.keys(PAGE_TYPES).join(', ')}` };
+            }
+            type = this.config.pageType;
+        } else {
+            type = Object.keys(PAGE_TYPES).find(name => PAGE_TYPES[name].matches(this.window.location)) || null;
+        }
+
+        if (!type) {
+            return { type: null, error: `This page (${this.window.location.pathname}) isn't supported. ${supported}` };
+        }
+
+        if (PAGE_TYPES[type].requiresSongsTab && !this.isSongsTabSelected()) {
+            return { type: null, error: 'Search results are only supported on the Songs tab. Select the "Songs" filter and try again' };
+        }
+
+        if (PAGE_TYPES[type].menuModesOnly && !this.mode.menuItem) {
+            return { type: null, error: `Songs in the ${PAGE_TYPES[type].label} have no rating buttons, so "${this.modeName}" can't run here. Open the playlist or album the queue was started from, or use a row menu mode ('add-to-playlist' or 'save-to-library')` };
+        }
+
+        return { type, error: null };
+    }
+
+    // Detect the page type for a run and log why when it can't be handled
+    preparePageType() {
+        const { type, error } = this.detectPageType();
+        if (!type) {
+            this.log(error, 'error');
+            return false;
+        }
+
+        this.pageType = type;
+        this.log(`📄 Page type: ${PAGE_TYPES[type].label}`, 'debug');
+        return true;
+    }
+
+    // Strategy for the current page; outside a run it falls back to a fresh detection, then to playlist
+    getPageStrategy() {
+        if (this.pageType) {
+            return PAGE_TYPES[this.pageType];
+        }
+        const { type } = this.detectPageType();
+        return PAGE_TYPES[type || 'playlist'];
+    }
+
+    // Whether the selected search results filter chip is the Songs one
+    isSongsTabSelected() {
+        const chip = this.document.querySelector('ytmusic-chip-cloud-chip-renderer[is-selected]') ||
+                     this.document.querySelector('ytmusic-chip-cloud-chip-renderer [aria-selected="true"]');
+        if (!chip) return false;
+
+        const text = (chip.textContent || '').trim();
+        return this.profiles.all().some(profile => profile.labels.songsTab.includes(text));
+    }
+
+    // Switch between like / unlike / dislike / clear-rating between runs; saved like configure()
+    setMode(mode, targetPlaylist) {
+        if (!ACTION_MODES[mode]) {
+            this.log(`Unknown mode "${mode}". Use one of: ${Object.keys(ACTION_MODES).join(', ')}`, 'error');
+            return false;
+        }
+        if (this.isRunning) {
+            this.log('Cannot change mode while the script is running', 'warning');
+            return false;
+        }
+        if (mode === 'add-to-playlist' && !targetPlaylist && !this.config.targetPlaylist) {
+            this.log("Name the playlist to add songs to: autoLiker.setMode('add-to-playlist', 'My playlist')", 'error');
+            return false;
+        }
+
+        return this.configure(targetPlaylist ? { mode, targetPlaylist } : { mode }).ok;
+    }
+
+    log(message, type = 'info', details = {}) {
+        const { trackId, table, ...context } = details;
+        this.logger.add({
+            timestamp: new Date(this.clock.now()).toISOString(),
+            level: RunLog.levelOf(type),
+            type,
+            message,
+            trackId: trackId || null,
+            run: this.runNumber,
+            context,
+            ...(table ? { table } : {})
+        });
+    }
+
+    // Log a line followed by a table (one object per row); the console sink prints it with console.table
+    logTable(message, rows, type = 'info') {
+        this.log(message, type, { table: rows });
+    }
+
+    // Console sink: the emoji-prefixed lines the script has always printed
+    writeToConsole(entry) {
+        const timestamp = new Date(entry.timestamp).toLocaleTimeString();
+        const prefix = `[${timestamp}] YT Auto-Like:`;
+        const message = entry.message;
+        
+        switch (entry.type) {
+            case 'error':
+                console.error(`${prefix} ❌ ${message}`);
+                break;
+            case 'success':
+                console.log(`${prefix} ✅ ${message}`);
+                break;
+            case 'warning':
+                console.warn(`${prefix} ⚠️ ${message}`);
+                break;
+            case 'debug':
+                console.log(`${prefix} 🔍 ${message}`);
+                break;
+            default:
+                console.log(`${prefix} ℹ️ ${message}`);
+        }
+        if (entry.table && console.table) {
+            console.table(entry.table);
+        }
+    }
+
+    // Last log lines at or above the configured level, for the control panel
+    getRecentLogs(count = 8) {
+        return this.logger.all()
+            .filter(entry => RunLog.reaches(entry.level, this.config.logLevel))
+            .slice(-count)
+            .map(entry => ({ time: new Date(entry.timestamp).toLocaleTimeString(), type: entry.type, message: entry.message }));
+    }
+
+    // Send every log entry at or above minLevel to a function of your own; returns a function that removes it again
+    addLogSink(write, minLevel = 'debug') {
+        if (!LOG_LEVELS[minLevel]) {
+            this.log(`Unknown log level "${minLevel}". Use one of: ${Object.keys(LOG_LEVELS).join(', ')}`, 'error');
+            return null;
+        }
+        return this.logger.addSink(write, minLevel);
+    }
+
+    // Change the lowest level shown in the console and the panel; saved like configure()
+    setLogLevel(level) {
+        if (!LOG_LEVELS[level]) {
+            this.log(`Unknown log level "${level}". Use one of: ${Object.keys(LOG_LEVELS).join(', ')}`, 'error');
+            return false;
+        }
+
+        return this.configure({ logLevel: level }).ok;
+    }
+
+    // Layer defaults, preset, saved settings and options, remembering where each value came from;
+    // throws listing every invalid value
+    buildConfig(options) {
+        const { verbose, ...given } = options;
+        // verbose: false is the older spelling of logLevel: 'info'
+        if (verbose === false && given.logLevel === undefined) {
+            given.logLevel = 'info';
+        }
+        Object.keys(given).forEach(key => {
+            if (given[key] === undefined) delete given[key];
+        });
+
+        const saved = this.configStore.state;
+        const preset = given.preset || saved.preset || CONFIG_SCHEMA.preset.default;
+        const layers = [
+            ['default', ConfigStore.defaults()],
+            ['preset', CONFIG_PRESETS[preset] || {}],
+            ['saved', saved.preset ? { preset: saved.preset, ...saved.values } : saved.values],
+            ['option', given]
+        ];
+
+        const config = {};
+        layers.forEach(([source, values]) => {
+            Object.entries(values).forEach(([key, value]) => {
+                config[key] = value;
+                this.configSources[key] = source;
+            });
+        });
+
+        const errors = ConfigStore.validate(config);
+        if (errors.length > 0) {
+            throw new Error(`Invalid config:\n- ${errors.join('\n- ')}`);
+        }
+        return config;
+    }
+
+    // Settings without the playlist or resumed session overrides of the current run
+    getBaseConfig() {
+        return this.activeOverrides ? { ...this.config, ...this.activeOverrides.replaced } : { ...this.config };
+    }
+
+    // Change settings without restarting: everything is checked first, then applied straight away and saved
+    // in localStorage. { playlist: true | '<playlist ID>' } keeps the changes for one playlist's runs only;
+    // { persist: false } changes this session only. A preset sets all its values; others in the same call win
+    configure(changes = {}, { playlist = null, persist = true } = {}) {
+        const playlistId = playlist === true ? this.getPlaylistId() : playlist;
+        if (playlist === true && !playlistId) {
+            this.log('Open the playlist these settings are for first', 'error');
+            return { ok: false, errors: ['no playlist open'] };
+        }
+
+        const { preset, ...values } = changes;
+        const expanded = preset !== undefined ? { preset, ...(CONFIG_PRESETS[preset] || {}), ...values } : values;
+        const current = playlistId ? { ...this.getBaseConfig(), ...(this.configStore.getPlaylist(playlistId) || {}) } : this.getBaseConfig();
+        const errors = ConfigStore.validate({ ...current, ...expanded });
+
+        // Mode, page type and the like are fixed for the run in progress
+        const affectsRun = playlistId ? !!this.activeOverrides && this.activeOverrides.playlistId === playlistId : this.isRunning;
+        if (affectsRun) {
+            Object.keys(expanded)
+                .filter(key => CONFIG_SCHEMA[key] && CONFIG_SCHEMA[key].live === false && expanded[key] !== this.config[key])
+                .forEach(key => errors.push(`${key} can only be changed between runs`));
+        }
+        if (playlistId && values.filter) {
+            errors.push('filter rules cannot be saved for a playlist');
+        }
+
+        if (errors.length > 0) {
+            errors.forEach(error => this.log(`Settings not changed: ${error}`, 'error'));
+            return { ok: false, errors };
+        }
+
+        const described = Object.keys(expanded)
+            .filter(key => expanded[key] !== current[key])
+            .map(key => key === 'filter' ? 'filter rules' : `${key} ${JSON.stringify(current[key])} → ${JSON.stringify(expanded[key])}`);
+
+        if (playlistId) {
+            this.configStore.setPlaylist(playlistId, expanded);
+            if (affectsRun) {
+                this.applyConfigValues(expanded, 'playlist');
+            }
+            this.log(`⚙️ Settings for ${playlistId}: ${described.join(', ') || 'unchanged'}`);
+        } else {
+            this.applyConfigValues(expanded, persist ? 'saved' : 'configure');
+            if (persist) {
+                if (preset !== undefined) {
+                    this.configStore.setPreset(preset);
+                }
+                this.configStore.setValues(ConfigStore.known(values));
+            }
+            this.log(`⚙️ Settings ${persist ? 'saved' : 'changed for this session'}: ${described.join(', ') || 'unchanged'}`);
+            if (values.filter && persist) {
+                this.log('Filter rules hold regexes and functions, so they are not saved', 'debug');
+            }
+        }
+
+        return { ok: true, errors: [] };
+    }
+
+    // Put values into the live config. While a playlist's or a resumed session's own settings are in use,
+    // general changes to the settings they override are kept aside for after the run
+    applyConfigValues(values, source) {
+        const forRun = source === 'playlist' || source === 'session';
+        Object.entries(values).forEach(([key, value]) => {
+            const overrides = this.activeOverrides;
+            if (overrides && !forRun && key in overrides.replaced) {
+                overrides.replaced[key] = value;
+                overrides.replacedSources[key] = source;
+                return;
+            }
+            if (overrides && forRun && !(key in overrides.replaced)) {
+                overrides.replaced[key] = this.config[key];
+                overrides.replacedSources[key] = this.configSources[key];
+            }
+            this.config[key] = value;
+            this.configSources[key] = source;
+        });
+        this.afterConfigChange(Object.keys(values));
+    }
+
+    // Rebuild what was derived from settings that just changed
+    afterConfigChange(keys) {
+        if (keys.includes('filter')) {
+            this.filter = new TrackFilter(this.config.filter);
+        }
+        if (keys.includes('logBufferSize')) {
+            this.logger.resize(this.config.logBufferSize);
+        }
+        if (keys.includes('profile')) {
+            this.activeProfile = null;
+        }
+        if (this.panel.isShown) {
+            this.panel.syncSettings();
+        }
+    }
+
+    // Watch list entries used to carry their own settings; move them into the per-playlist overrides.
+    // Older entries held a copy of every setting, so values equal to the defaults are left out
+    migrateWatchListConfigs() {
+        this.watchList.list().forEach(({ playlistId, config }) => {
+            if (!config) return;
+
+            const values = Object.fromEntries(Object.entries(ConfigStore.known(config)).filter(([key, value]) =>
+                value !== CONFIG_SCHEMA[key].default && ConfigStore.checkValue(key, value) === null));
+            const existing = this.configStore.getPlaylist(playlistId) || {};
+            const merged = { ...values, ...existing };
+            if (Object.keys(values).length > 0 && ConfigStore.validate({ ...this.config, ...merged }).length === 0) {
+                this.configStore.setPlaylist(playlistId, merged);
+            }
+
+            const entry = { ...this.watchList.get(playlistId) };
+            delete entry.config;
+            this.watchList.set(playlistId, entry);
+        });
+    }
+
+    // Use the open playlist's own settings for this run; restorePlaylistOverrides() puts the others back
+    applyPlaylistOverrides() {
+        const playlistId = this.getPlaylistId();
+        const overrides = playlistId ? this.configStore.getPlaylist(playlistId) : null;
+        if (!overrides || Object.keys(overrides).length === 0) return;
+
+        const errors = ConfigStore.validate({ ...this.config, ...overrides });
+        if (errors.length > 0) {
+            this.log(`This playlist's own settings don't fit the current ones and are ignored: ${errors.join('; ')}`, 'warning');
+            return;
+        }
+
+        this.activeOverrides = { playlistId, fromPlaylist: true, replaced: {}, replacedSources: {} };
+        this.applyConfigValues(overrides, 'playlist');
+        this.log(`⚙️ Using this playlist's own settings: ${Object.entries(overrides).map(([key, value]) => `${key} ${JSON.stringify(value)}`).join(', ')}`);
+    }
+
+    // A resumed run goes on with the settings it was started with; restorePlaylistOverrides() puts the
+    // others back as well
+    applyResumedConfig() {
+        const saved = this.resumedConfig;
+        this.resumedConfig = null;
+        if (!saved) return;
+
+        const changed = Object.fromEntries(Object.entries(saved).filter(([key, value]) => value !== this.config[key]));
+        if (Object.keys(changed).length === 0) return;
+
+        if (!this.activeOverrides) {
+            this.activeOverrides = { playlistId: this.getPlaylistId(), fromPlaylist: false, replaced: {}, replacedSources: {} };
+        }
+        this.applyConfigValues(changed, 'session');
+        this.log(`⚙️ Using the settings of the resumed run: ${Object.entries(changed).map(([key, value]) => `${key} ${JSON.stringify(value)}`).join(', ')}`, 'debug');
+    }
+
+    restorePlaylistOverrides() {
+        if (!this.activeOverrides) return;
+
+        const { replaced, replacedSources } = this.activeOverrides;
+        this.activeOverrides = null;
+        Object.assign(this.config, replaced);
+        Object.assign(this.configSources, replacedSources);
+        this.afterConfigChange(Object.keys(replaced));
+    }
+
+    // Table of every setting with its value, default and where the value came from, plus the saved
+    // per-playlist settings
+    showConfig() {
+        const rows = Object.keys(CONFIG_SCHEMA)
+            .filter(key => key !== 'filter')
+            .map(key => ({
+                setting: key,
+                value: this.config[key],
+                default: CONFIG_SCHEMA[key].default,
+                source: this.configSources[key]
+            }));
+        const playlists = this.configStore.state.playlists;
+
+        this.logTable('⚙️ Settings in use:', rows);
+        Object.entries(playlists).forEach(([playlistId, values]) => {
+            this.log(`⚙️ ${playlistId}: ${Object.entries(values).map(([key, value]) => `${key} ${JSON.stringify(value)}`).join(', ')}`);
+        });
+        return { settings: rows, playlists };
+    }
+
+    // Drop the saved settings and go back to the defaults and the options the script was created with,
+    // or forget one playlist's own settings ({ playlist: true | '<playlist ID>' })
+    resetConfig({ playlist = null } = {}) {
+        if (playlist) {
+            const playlistId = playlist === true ? this.getPlaylistId() : playlist;
+            const removed = !!playlistId && this.configStore.reset(playlistId);
+            this.log(removed ? `Removed the settings of ${playlistId}; they apply from its next run` : `No settings saved for ${playlistId || 'this page'}`);
+            return removed;
+        }
+        if (this.isRunning) {
+            this.log('Cannot reset the settings while the script is running', 'warning');
+            return false;
+        }
+
+        this.configStore.reset();
+        const config = this.buildConfig(this.initialOptions);
+        Object.assign(this.config, config);
+        this.afterConfigChange(Object.keys(config));
+        this.log(`Settings reset to the "${this.config.preset}" preset`);
+        return true;
+    }
+
+    // Buffered log entries, optionally narrowed down by minimum level, track id or run number
+    getLog({ level = 'debug', trackId, run } = {}) {
+        return this.logger.all().filter(entry =>
+            RunLog.reaches(entry.level, level) &&
+            (trackId === undefined || entry.trackId === trackId) &&
+            (run === undefined || entry.run === run));
+    }
+
+    clearLog() {
+        this.logger.clear();
+    }
+
+    // Save the buffered log as 'json' (one object per entry) or 'text' (one line per entry)
+    downloadLog(format = 'json') {
+        const entries = this.logger.all();
+        const date = new Date(this.clock.now()).toISOString().slice(0, 10);
+
+        let content;
+        let extension;
+        let mimeType;
+        if (format === 'json') {
+            content = JSON.stringify({
+                exportedAt: new Date(this.clock.now()).toISOString(),
+                playlistId: this.getPlaylistId(),
+                mode: this.config.mode,
+                entries
+            }, null, 2);
+            extension = 'json';
+            mimeType = 'application/json';
+        } else if (format === 'text') {
+            content = entries.map(RunLog.formatText).join('\n');
+            extension = 'log';
+            mimeType = 'text/plain';
+        } else {
+            this.log(`Unknown log format "${format}". Use 'json' or 'text'`, 'error');
+            return null;
+        }
+
+        const filename = `yt-auto-like-log-${date}.${extension}`;
+        this.downloadFile(content, filename, mimeType);
+        this.log(`📝 Saved ${entries.length} log entries as ${filename}`, 'success');
+        return { format, filename, entryCount: entries.length, content };
+    }
+
+    // Get all like buttons that haven't been liked yet
+    getLikeButtons() {
+        // Multiple selectors to handle different YouTube Music versions and UI languages
+        const { selectors, labels } = this.getSelectorProfile();
+        
+        let buttons = [];
+        let usedSelector = '';
+        
+        for (const selector of selectors.likeButtons) {
+            const foundButtons = this.document.querySelectorAll(selector);
+            if (foundButtons.length > 0) {
+                buttons = Array.from(foundButtons);
+                usedSelector = selector;
+                this.log(`Found ${buttons.length} potential like buttons using selector: ${selector}`, 'debug');
+                break;
+            }
+        }
+        
+        if (buttons.length === 0) {
+            this.log('No like buttons found with any selector. Checking page structure...', 'debug');
+            
+            // Debug: Check what buttons exist
+            const allButtons = this.document.querySelectorAll('button, tp-yt-paper-icon-button, yt-icon-button');
+            this.log(`Total buttons found: ${allButtons.length}`, 'debug');
+            
+            // Sample some button attributes
+            Array.from(allButtons).slice(0, 5).forEach((btn, i) => {
+                this.log(`Button ${i}: aria-label="${btn.getAttribute('aria-label')}", title="${btn.getAttribute('title')}"`, 'debug');
+            });
+        }
+        
+        // Filter out already liked buttons
+        const unlikedButtons = buttons.filter(button => {
+            const isPressed = button.getAttribute('aria-pressed') === 'true';
+            const isDisabled = button.disabled || button.getAttribute('disabled') !== null;
+            const ariaLabel = button.getAttribute('aria-label') || '';
+            const isAlreadyLiked = this.labelMatches(ariaLabel, labels.liked) || 
+                                 this.labelMatches(ariaLabel, labels.dislike);
+            
+            return !isPressed && !isDisabled && !isAlreadyLiked;
+        });
+        
+        if (buttons.length > 0 && unlikedButtons.length === 0) {
+            this.log(`Found ${buttons.length} like buttons but all appear to be already liked`, 'debug');
+        }
+        
+        return unlikedButtons;
+    }
+
+    // Get all song rows currently rendered on the page
+    getTrackRows() {
+        return Array.from(this.document.querySelectorAll(this.getPageStrategy().rows));
+    }
+
+    // Whether an aria-label contains any of a profile's labels
+    labelMatches(ariaLabel, labels) {
+        return labels.some(label => ariaLabel.includes(label));
+    }
+
+    // First element inside a row (or any other root) matched by a list of selectors
+    queryRow(row, selectors) {
+        for (const selector of selectors) {
+            const element = row.querySelector(selector);
+            if (element) {
+                return element;
+            }
+        }
+
+        return null;
+    }
+
+    // Find the like button inside a single song row, whether or not it is already pressed
+    getRowLikeButton(row) {
+        return this.queryRow(row, this.getSelectorProfile().selectors.rowLikeButton);
+    }
+
+    // Find the dislike button inside a single song row
+    getRowDislikeButton(row) {
+        return this.queryRow(row, this.getSelectorProfile().selectors.rowDislikeButton);
+    }
+
+    // The "⋮" button opening a row's menu
+    getRowMenuButton(row) {
+        return this.queryRow(row, this.getSelectorProfile().selectors.rowMenuButton);
+    }
+
+    // Pick the button the current mode has to click for a track
+    getActionButton(row, track) {
+        const { button } = this.modeFor(track);
+        if (button === 'menu') {
+            return this.getRowMenuButton(row);
+        }
+
+        const buttonType = button === 'current'
+            ? (track.likeState === 'disliked' ? 'dislike' : 'like')
+            : button;
+
+        return buttonType === 'dislike' ? this.getRowDislikeButton(row) : this.getRowLikeButton(row);
+    }
+
+    // Work out whether a row is liked, disliked or unrated
+    getRowLikeState(row) {
+        // The like renderer exposes the rating directly on newer layouts
+        const renderer = row.querySelector(BASE_SELECTORS.likeRenderer);
+        const likeStatus = renderer ? renderer.getAttribute('like-status') : null;
+        if (likeStatus === 'LIKE') return 'liked';
+        if (likeStatus === 'DISLIKE') return 'disliked';
+        if (likeStatus === 'INDIFFERENT') return 'none';
+
+        const button = this.getRowLikeButton(row);
+        if (!button) return 'unknown';
+
+        const { labels } = this.getSelectorProfile();
+        const ariaLabel = button.getAttribute('aria-label') || '';
+        const isPressed = button.getAttribute('aria-pressed') === 'true';
+        if (isPressed || this.labelMatches(ariaLabel, labels.liked)) {
+            return 'liked';
+        }
+
+        const dislikeButton = this.getRowDislikeButton(row);
+        if (dislikeButton && (dislikeButton.getAttribute('aria-pressed') === 'true' ||
+                              this.labelMatches(dislikeButton.getAttribute('aria-label') || '', labels.disliked))) {
+            return 'disliked';
+        }
+
+        return 'none';
+    }
+
+    // Turn a song row into a plain track record
+    extractTrack(row, rowIndex) {
+        const link = row.querySelector('a[href*="watch?v="]');
+        const href = link ? link.getAttribute('href') || '' : '';
+        // Queue items have no watch link, but their thumbnail URL carries the videoId
+        const thumbnail = link ? null : row.querySelector('img[src*="/vi/"]');
+        const videoIdMatch = href.match(/[?&]v=([\w-]+)/) ||
+                             (thumbnail ? (thumbnail.getAttribute('src') || '').match(/\/vi\/([\w-]+)\//) : null);
+        const videoId = videoIdMatch ? videoIdMatch[1] : null;
+
+        const titleElement = row.querySelector('.title-column .title') || row.querySelector('.title') ||
+                             row.querySelector('.song-title') || link;
+        const title = titleElement
+            ? (titleElement.getAttribute('title') || titleElement.textContent || '').trim() || 'Unknown Song'
+            : 'Unknown Song';
+
+        // Secondary columns hold the artists first and the album second
+        const secondaryColumns = Array.from(row.querySelectorAll('.secondary-flex-columns .flex-column'));
+        const artistColumn = secondaryColumns[0];
+        const albumColumn = secondaryColumns[1];
+
+        let artists = [];
+        if (artistColumn) {
+            const artistLinks = Array.from(artistColumn.querySelectorAll('a'));
+            artists = artistLinks.length > 0
+                ? artistLinks.map(a => a.textContent.trim())
+                : (artistColumn.getAttribute('title') || artistColumn.textContent || '').split(/\s*(?:,|&)\s*/);
+            artists = artists.filter(Boolean);
+        } else if (row.querySelector('.byline')) {
+            // Queue items show "Artist • Album" in a single byline
+            const byline = row.querySelector('.byline');
+            artists = (byline.getAttribute('title') || byline.textContent || '')
+                .split('•')[0]
+                .split(/\s*(?:,|&)\s*/)
+                .map(name => name.trim())
+                .filter(Boolean);
+        }
+
+        let album = albumColumn
+            ? (albumColumn.getAttribute('title') || albumColumn.textContent || '').trim() || null
+            : null;
+
+        if (this.getPageStrategy().metadataFromHeader) {
+            const headerArtists = Array.from(this.document.querySelectorAll('ytmusic-responsive-header-renderer .strapline-text a, ytmusic-detail-header-renderer .subtitle a'))
+                .map(a => a.textContent.trim())
+                .filter(Boolean);
+            if (artistColumn && !artistColumn.querySelector('a') && headerArtists.length > 0) {
+                artists = headerArtists;
+            }
+            album = this.getPlaylistTitle();
+        }
+
+        const durationElement = row.querySelector('.fixed-columns .fixed-column') || row.querySelector('.fixed-column') ||
+                                row.querySelector('.duration');
+        const durationText = durationElement
+            ? (durationElement.getAttribute('title') || durationElement.textContent || '').trim()
+            : '';
+
+        const explicit = !!this.queryRow(row, this.getSelectorProfile().selectors.explicit);
+        // Tracks removed from YouTube stay in the list greyed out and can't be rated
+        const unavailable = row.hasAttribute('unplayable_') || row.getAttribute('aria-disabled') === 'true';
+
+        return {
+            // Rows without a watch link (e.g. unavailable tracks) fall back to title + artists
+            id: videoId || `row:${title}::${artists.join(',')}`,
+            videoId,
+            title,
+            artists,
+            album,
+            duration: this.parseDuration(durationText),
+            durationText,
+            explicit,
+            unavailable,
+            rowIndex,
+            likeState: this.getRowLikeState(row),
+            url: videoId ? `https://music.youtube.com/watch?v=${videoId}` : null,
+            outcome: null
+        };
+    }
+
+    // Convert "h:mm:ss" / "m:ss" into seconds
+    parseDuration(text) {
+        if (!text || !/^\d+(:\d{1,2}){1,2}$/.test(text)) return null;
+        return text.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+    }
+
+    // Track count and total duration from the header line ("1,234 songs • 7+ hours"), or null
+    // when the page has no such header or it can't be read
+    getHeaderInfo() {
+        const headers = this.getPageStrategy().headers || [];
+        const element = this.queryRow(this.document, headers);
+        if (!element) return null;
+
+        const text = element.textContent.replace(/\s+/g, ' ').trim();
+        const { labels } = this.getSelectorProfile();
+        let trackCount = null;
+        let duration = null;
+
+        // Public playlists put a view count in front, so look for the part naming the tracks
+        text.split('•').map(part => part.trim()).forEach(part => {
+            if (trackCount === null && this.labelMatches(part, labels.tracks)) {
+                const number = part.match(/\d[\d.,\s]*/);
+                if (number) trackCount = parseInt(number[0].replace(/\D/g, ''), 10);
+            } else if (duration === null) {
+                duration = this.parseHeaderDuration(part, labels);
+            }
+        });
+
+        if (trackCount === null && duration === null) return null;
+        return { text, trackCount, ...(duration || { duration: null, approximate: false }) };
+    }
+
+    // "1 hour, 32 minutes" -> { duration: 5520, approximate: false }; "7+ hours" only gives a lower bound
+    parseHeaderDuration(text, labels) {
+        const escape = label => label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const amount = units => {
+            if (units.length === 0) return null;
+            const match = text.match(new RegExp(`(\\d+)\\s*\\+?\\s*(?:${units.map(escape).join('|')})`, 'i'));
+            return match ? parseInt(match[1], 10) : null;
+        };
+
+        const hours = amount(labels.hours);
+        const minutes = amount(labels.minutes);
+        const seconds = amount(labels.seconds);
+        if (hours === null && minutes === null && seconds === null) return null;
+
+        return {
+            duration: (hours || 0) * 3600 + (minutes || 0) * 60 + (seconds || 0),
+            approximate: text.includes('+') || (hours !== null && minutes === null)
+        };
+    }
+
+    // How much of the list the run has seen compared to what the header declares
+    getCoverage() {
+        const header = this.getHeaderInfo();
+        const tracks = this.registry.all();
+        const seen = tracks.length;
+        const declaredTracks = header ? header.trackCount : null;
+        const ratio = declaredTracks === null ? null : declaredTracks === 0 ? 1 : Math.min(1, seen / declaredTracks);
+
+        return {
+            declaredTracks,
+            declaredDuration: header ? header.duration : null,
+            durationApproximate: header ? header.approximate : false,
+            seen,
+            missing: declaredTracks === null ? null : Math.max(0, declaredTracks - seen),
+            unavailable: tracks.filter(track => track.unavailable).length,
+            seenDuration: tracks.reduce((total, track) => total + (track.duration || 0), 0),
+            ratio,
+            target: this.config.coverageTarget,
+            belowTarget: ratio !== null && this.config.coverageTarget > 0 && ratio < this.config.coverageTarget
+        };
+    }
+
+    // 5520 -> "1h 32m", 95 -> "1m 35s"
+    formatLength(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        if (hours > 0) return `${hours}h ${minutes}m`;
+        return `${minutes}m ${seconds % 60}s`;
+    }
+
+    // Human-readable label for log lines and reports
+    formatTrack(track) {
+        const artists = track.artists.length > 0 ? ` by ${track.artists.join(', ')}` : '';
+        return `"${track.title}"${artists}`;
+    }
+
+    // Register every visible row and return the rows with their track records
+    scanVisibleTracks() {
+        const savedOutcomes = this.session ? this.session.processed : {};
+
+        const entries = this.getTrackRows().map((row, index) => {
+            const { track, isNew } = this.registry.register(this.extractTrack(row, index));
+            if (isNew && this.retryOnly && !this.retryOnly.has(track.id)) {
+                // Retrying failed tracks: everything else is left alone and not counted
+                track.outcome = 'ignored';
+            } else if (isNew) {
+                // Tracks handled before a reload keep their saved outcome and are not processed again
+                if (savedOutcomes[track.id]) {
+                    track.outcome = savedOutcomes[track.id];
+                    track.resumed = true;
+                    if (this.importList) {
+                        this.importList.match(track);
+                    }
+                } else {
+                    this.log(`Found track #${index + 1}: ${this.formatTrack(track)} [${track.videoId || 'no videoId'}]`, 'debug', { trackId: track.id });
+                    this.emit('track-found', { track });
+                }
+            }
+            return { row, track };
+        });
+
+        // While the bottom of the list is still made of saved tracks we can scroll without waiting
+        this.lastScanResumed = entries.length > 0 && !!entries[entries.length - 1].track.resumed;
+
+        return entries;
+    }
+
+    // Decide what the run should do with a row: 'already-done', 'act' or 'skip' (with a reason)
+    classifyTrack(row, track) {
+        if (this.undoPlan) {
+            return this.classifyUndoTrack(row, track);
+        }
+
+        // Match before the state check so imported entries that are already liked still count as found
+        const importEntry = this.importList ? this.importList.match(track) : null;
+
+        if (this.mode.doneStates.includes(track.likeState)) {
+            return { action: 'already-done' };
+        }
+
+        if (track.unavailable) {
+            return { action: 'skip', reason: 'unavailable' };
+        }
+
+        if (this.knownTrackIds && this.knownTrackIds.has(track.id)) {
+            return { action: 'skip', reason: 'not new since last run' };
+        }
+
+        if (this.snapshotBaseline && this.snapshotBaseline.ids.has(track.id)) {
+            return { action: 'skip', reason: 'not new since last snapshot' };
+        }
+
+        if (this.importList && !importEntry) {
+            return { action: 'skip', reason: 'not in import list' };
+        }
+
+        const failedRule = this.filter.check(track);
+        if (failedRule) {
+            return { action: 'skip', reason: `filter: ${failedRule}` };
+        }
+
+        const button = this.getActionButton(row, track);
+        if (!button) {
+            const buttonName = { dislike: 'dislike', menu: 'menu' }[this.mode.button] || 'like';
+            return { action: 'skip', reason: `no ${buttonName} button` };
+        }
+        if (button.disabled || button.getAttribute('disabled') !== null) {
+            return { action: 'skip', reason: 'button disabled' };
+        }
+
+        return { action: 'act' };
+    }
+
+    // While undoing: restore the rating from before the journaled action, unless it was changed again since
+    classifyUndoTrack(row, track) {
+        const planned = this.undoPlan.get(track.id);
+        if (track.likeState === planned.previousState) {
+            return { action: 'already-done' };
+        }
+        if (track.likeState !== planned.newState) {
+            return { action: 'skip', reason: 'rating changed since the action' };
+        }
+
+        const button = this.getActionButton(row, track);
+        if (!button || button.disabled || button.getAttribute('disabled') !== null) {
+            return { action: 'skip', reason: 'button not available' };
+        }
+
+        return { action: 'act' };
+    }
+
+    // Mark a track as skipped and count it under the reason it was skipped for
+    skipTrack(track, reason) {
+        this.registry.setOutcome(track.id, 'skipped');
+        track.skipReason = reason;
+        this.emit('skipped', { track, reason });
+        this.stats.skipped++;
+        this.stats.skipReasons[reason] = (this.stats.skipReasons[reason] || 0) + 1;
+        this.log(`Skipped ${this.formatTrack(track)}: ${reason}`, 'debug', { trackId: track.id, reason });
+    }
+
+    // Apply the current mode (like by default) to all currently visible songs
+    async likeVisibleSongs() {
+        const { verb, pastTense } = this.mode;
+
+        // Only rows we haven't dealt with earlier in this run
+        const pending = this.scanVisibleTracks().filter(({ track }) => !track.outcome);
+        const toProcess = [];
+
+        pending.forEach(entry => {
+            const { track } = entry;
+            const { action, reason } = this.classifyTrack(entry.row, track);
+
+            if (action === 'already-done') {
+                this.registry.setOutcome(track.id, 'already-done');
+                this.stats.alreadyDone++;
+                this.log(`Already ${track.likeState === 'none' ? 'unrated' : track.likeState}: ${this.formatTrack(track)}`, 'debug', { trackId: track.id });
+            } else if (action === 'skip') {
+                this.skipTrack(track, reason);
+            } else {
+                toProcess.push(entry);
+            }
+        });
+
+        this.saveProgress();
+
+        if (toProcess.length === 0) {
+            this.log(`No songs to ${verb} found on current view`, 'debug');
+            return 0;
+        }
+
+        // Dry run: record what would happen without touching any button
+        if (this.config.dryRun) {
+            toProcess.forEach(({ track }) => {
+                this.registry.setOutcome(track.id, 'would-do');
+                this.stats.wouldAct++;
+                this.log(`Would ${verb}: ${this.formatTrack(track)}`, 'debug', { trackId: track.id });
+            });
+            this.log(`[Dry run] ${toProcess.length} songs on current view would be ${pastTense}`);
+            return toProcess.length;
+        }
+
+        this.log(`Found ${toProcess.length} songs to ${verb}`);
+        
+        let actionCount = 0;
+        
+        for (let i = 0; i < toProcess.length && !this.shouldStop; i++) {
+            const { row, track } = toProcess[i];
+
+            // Safe point: the rest of this view's queue is kept while paused
+            await this.waitIfPaused();
+            if (this.shouldStop) break;
+
+            if (!(await this.waitForRateLimit())) break;
+            
+            try {
+                const currentState = this.getRowLikeState(row);
+                track.likeState = currentState;
+                const button = this.getActionButton(row, track);
+                const trackMode = this.modeFor(track);
+
+                // The row may have changed since the scan: rated meanwhile, or its button gone
+                if (trackMode.doneStates.includes(currentState)) {
+                    this.registry.setOutcome(track.id, 'already-done');
+                    this.stats.alreadyDone++;
+                    this.log(`Already ${pastTense}: ${this.formatTrack(track)}`, 'debug', { trackId: track.id });
+                    this.saveProgress();
+                    continue;
+                }
+                if (!button || button.disabled || button.getAttribute('disabled') !== null) {
+                    this.skipTrack(track, 'button not available');
+                    this.saveProgress();
+                    continue;
+                }
+
+                const result = await this.performAction(row, track, button);
+                track.previousState = currentState;
+                // Menu actions leave the rating alone
+                const newState = result.status === 'failed' || result.status === 'already-done' ? currentState : trackMode.targetState || currentState;
+                this.recordAction(track, currentState, newState, result.status);
+
+                if (result.status === 'already-done') {
+                    this.registry.setOutcome(track.id, 'already-done');
+                    this.stats.alreadyDone++;
+                    this.log(`Already ${pastTense}: ${this.formatTrack(track)}`, 'debug', { trackId: track.id });
+                } else if (result.status === 'failed') {
+                    track.failReason = result.reason;
+                    this.registry.setOutcome(track.id, 'failed');
+                    this.stats.failed++;
+                    this.log(`Failed to ${verb} ${this.formatTrack(track)}: ${result.reason}`, 'error', { trackId: track.id, reason: result.reason });
+                    this.emit('failed', { track, reason: result.reason });
+                } else {
+                    actionCount++;
+                    this.stats.totalActions++;
+                    if (this.modeName === 'like') {
+                        this.stats.totalLiked++;
+                    }
+                    track.likeState = newState;
+                    track.verification = result.status;
+                    this.registry.setOutcome(track.id, 'done');
+
+                    const label = `${pastTense[0].toUpperCase()}${pastTense.slice(1)}: ${this.formatTrack(track)} (${this.stats.totalActions} total)`;
+                    if (result.status === 'confirmed') {
+                        this.stats.confirmed++;
+                        this.log(label, 'success', { trackId: track.id });
+                    } else {
+                        this.stats.unverified++;
+                        this.log(`${label} - could not confirm the click`, 'warning', { trackId: track.id });
+                    }
+
+                    const payload = { track, mode: this.modeName, verification: result.status };
+                    this.emit('action', payload);
+                    if (this.modeName === 'like') {
+                        this.emit('liked', payload);
+                    }
+                }
+                this.saveProgress();
+                
+            } catch (error) {
+                this.log(`Error trying to ${verb} ${this.formatTrack(track)}: ${error.message}`, 'error', { trackId: track.id });
+            }
+        }
+        
+        return actionCount;
+    }
+
+    // Click, wait for YouTube Music to accept it and retry with backoff when it didn't
+    async performAction(row, track, button) {
+        if (this.modeFor(track).menuItem) {
+            return this.performMenuAction(row, track, button);
+        }
+
+        const maxAttempts = this.config.maxRetries + 1;
+        let result = { status: 'unknown', reason: 'no response' };
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            const toastBefore = this.getToastText();
+            button.click();
+            this.rateLimiter.recordAction();
+            result = await this.verifyAction(row, track, toastBefore);
+
+            if (result.status === 'confirmed') {
+                this.rateLimiter.recordSuccess();
+            } else {
+                const slowdown = this.rateLimiter.recordProblem();
+                this.log(`YouTube Music didn't confirm the click - slowing down to x${slowdown} delays`, 'debug');
+            }
+
+            if (result.status === 'confirmed' || result.fatal || attempt === maxAttempts || this.shouldStop) {
+                break;
+            }
+
+            const backoff = this.config.retryBackoff * Math.pow(2, attempt - 1);
+            this.log(`Click on ${this.formatTrack(track)} not confirmed (${result.reason}), retrying in ${(backoff/1000).toFixed(1)}s (${attempt}/${this.config.maxRetries})`, 'warning', { trackId: track.id, attempt, backoffMs: backoff });
+            await this.delay(backoff);
+
+            // A slow UI may have caught up meanwhile; clicking again would undo the action
+            if (this.modeFor(track).doneStates.includes(this.getRowLikeState(row))) {
+                return { status: 'confirmed', attempts: attempt };
+            }
+
+            button = this.getActionButton(row, track);
+            if (!button) {
+                break;
+            }
+        }
+
+        return result;
+    }
+
+    // Wait until the rate limiter allows the next click; false when the daily cap is used up
+    async waitForRateLimit() {
+        const { wait, blocked, reason, isBreak } = this.rateLimiter.nextDelay();
+
+        if (blocked) {
+            this.log(`Daily cap of ${this.config.dailyCap} actions reached - try again tomorrow or raise dailyCap`, 'warning');
+            return false;
+        }
+
+        if (wait > 0) {
+            this.log(isBreak
+                ? `☕ Taking a ${(wait/1000).toFixed(0)}s break after ${this.config.breakEvery} ${this.mode.verb} actions...`
+                : `Waiting ${(wait/1000).toFixed(1)}s before next ${this.modeName} (${reason})...`, isBreak ? 'info' : 'debug');
+            await this.delay(wait);
+        }
+
+        return !this.shouldStop;
+    }
+
+    // Watch the row after a click: confirmed once the rating flips, failed on a sign-in dialog, a toast
+    // or a readable rating that never flips, unknown when the rating can't be read any more
+    async verifyAction(row, track, toastBefore) {
+        const deadline = this.clock.now() + this.config.verifyTimeout;
+        let toastSeen = '';
+
+        while (this.clock.now() < deadline) {
+            if (!row.isConnected) {
+                return { status: 'unknown', reason: 'row was re-rendered' };
+            }
+            if (this.modeFor(track).doneStates.includes(this.getRowLikeState(row))) {
+                return { status: 'confirmed' };
+            }
+            if (this.isSignInDialogOpen()) {
+                return this.stopForSignIn();
+            }
+
+            const toast = this.getToastText();
+            if (toast && toast !== toastBefore) {
+                toastSeen = toast;
+            }
+
+            await new Promise(resolve => this.clock.setTimeout(resolve, 100));
+        }
+
+        if (toastSeen) {
+            return { status: 'failed', reason: `toast: "${toastSeen}"` };
+        }
+        return this.getRowLikeState(row) === 'unknown'
+            ? { status: 'unknown', reason: 'rating could not be read after the click' }
+            : { status: 'failed', reason: 'rating did not change' };
+    }
+
+    // Signed-out users get a sign-in dialog instead of their action; nothing more can be done in this run
+    stopForSignIn() {
+        this.log('A sign-in dialog appeared - make sure you are logged in. Stopping.', 'error');
+        this.fatalError = 'sign-in required';
+        this.emit('error', { message: this.fatalError, fatal: true });
+        this.shouldStop = true;
+        return { status: 'failed', reason: 'sign-in required', fatal: true };
+    }
+
+    // Run a menu action, retrying with backoff only while nothing was selected yet (the menu or the
+    // playlist picker didn't open), since repeating a selected entry could add the song twice
+    async performMenuAction(row, track, menuButton) {
+        const maxAttempts = this.config.maxRetries + 1;
+        let result = { status: 'failed', reason: 'no response' };
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            result = await this.runMenuAction(row, track, menuButton);
+
+            if (result.status === 'confirmed' || result.status === 'already-done') {
+                this.rateLimiter.recordSuccess();
+            } else if (result.selected || result.retryable) {
+                const slowdown = this.rateLimiter.recordProblem();
+                this.log(`YouTube Music didn't confirm the action - slowing down to x${slowdown} delays`, 'debug');
+            }
+
+            if (!result.retryable || result.fatal || attempt === maxAttempts || this.shouldStop) {
+                break;
+            }
+
+            const backoff = this.config.retryBackoff * Math.pow(2, attempt - 1);
+            this.log(`Could not ${this.mode.verb} ${this.formatTrack(track)} (${result.reason}), retrying in ${(backoff/1000).toFixed(1)}s (${attempt}/${this.config.maxRetries})`, 'warning', { trackId: track.id, attempt, backoffMs: backoff });
+            await this.delay(backoff);
+
+            menuButton = this.getRowMenuButton(row);
+            if (!menuButton) {
+                break;
+            }
+        }
+
+        return result;
+    }
+
+    // Open the row's menu, pick the mode's entry (and the target playlist) and wait for the outcome:
+    // confirmed by a matching toast, unknown when no toast or a different one shows up
+    async runMenuAction(row, track, menuButton) {
+        const mode = this.modeFor(track);
+        const { labels } = this.getSelectorProfile();
+        const toastBefore = this.getToastText();
+
+        menuButton.click();
+        const menu = await this.waitFor(() => this.getOpenMenu());
+        if (!menu) {
+            return { status: 'failed', reason: 'the menu did not open', retryable: true };
+        }
+
+        if (mode.doneMenuItem && this.findMenuItem(menu, labels[mode.doneMenuItem])) {
+            this.closeOverlay(menu);
+            return { status: 'already-done' };
+        }
+
+        const item = this.findMenuItem(menu, labels[mode.menuItem]);
+        if (!item) {
+            this.closeOverlay(menu);
+            return { status: 'failed', reason: `no "${labels[mode.menuItem][0]}" entry in the menu` };
+        }
+
+        // The previous song's toast may still be up with the same text, so watch for it being shown again
+        const toastWatch = this.watchToasts();
+        try {
+            item.click();
+            this.rateLimiter.recordAction();
+
+            if (mode.menuItem === 'saveToPlaylist') {
+                const picked = await this.pickTargetPlaylist();
+                if (picked) return picked;
+            }
+
+            return await this.waitForMenuOutcome(toastBefore, labels[mode.doneToast], toastWatch);
+        } finally {
+            toastWatch.disconnect();
+        }
+    }
+
+    // Notice any toast being shown or updated from now on; changed is read while waiting for an outcome
+    watchToasts() {
+        const watch = { changed: false, disconnect: () => {} };
+        if (!this.window.MutationObserver) return watch;
+
+        const selector = BASE_SELECTORS.toasts.join(', ');
+        const observer = new this.window.MutationObserver(records => {
+            watch.changed = watch.changed || records.some(record => {
+                const element = record.target.nodeType === 1 ? record.target : record.target.parentElement;
+                return !!element && !!element.closest(selector);
+            });
+        });
+        observer.observe(this.document.body, { subtree: true, childList: true, characterData: true, attributes: true, attributeFilter: ['opened', 'aria-hidden'] });
+        watch.disconnect = () => observer.disconnect();
+        return watch;
+    }
+
+    // Choose config.targetPlaylist in the playlist picker; returns a result only when that went wrong
+    async pickTargetPlaylist() {
+        const picker = await this.waitFor(() => this.getOpenOverlay(BASE_SELECTORS.playlistPicker));
+        if (!picker) {
+            return { status: 'failed', reason: 'the playlist picker did not open', retryable: true };
+        }
+
+        const target = this.config.targetPlaylist.trim().toLowerCase();
+        const options = Array.from(picker.querySelectorAll(BASE_SELECTORS.playlistOptions));
+        const option = options.find(candidate => {
+            const title = candidate.querySelector('#title, .title') || candidate;
+            return title.textContent.trim().toLowerCase() === target;
+        });
+
+        if (!option) {
+            this.closeOverlay(picker);
+            // Every other song would fail the same way
+            this.log(`There is no playlist named "${this.config.targetPlaylist}" in the picker. Stopping.`, 'error');
+            this.fatalError = `playlist "${this.config.targetPlaylist}" not found`;
+            this.emit('error', { message: this.fatalError, fatal: true });
+            this.shouldStop = true;
+            return { status: 'failed', reason: this.fatalError, fatal: true, selected: true };
+        }
+
+        (option.querySelector('button') || option).click();
+        return null;
+    }
+
+    // After a menu entry was selected: the expected toast confirms it and any other toast is an error,
+    // a confirmation dialog means the song is already in the playlist (the duplicate is declined),
+    // a sign-in dialog ends the run
+    async waitForMenuOutcome(toastBefore, doneToastLabels, toastWatch) {
+        const deadline = this.clock.now() + this.config.verifyTimeout;
+
+        while (this.clock.now() < deadline) {
+            if (this.isSignInDialogOpen()) {
+                return { ...this.stopForSignIn(), selected: true };
+            }
+
+            const duplicate = this.getOpenOverlay(BASE_SELECTORS.confirmDialogs);
+            if (duplicate) {
+                const cancel = this.queryRow(duplicate, BASE_SELECTORS.confirmCancelButtons);
+                if (cancel) {
+                    cancel.click();
+                } else {
+                    this.closeOverlay(duplicate);
+                }
+                return { status: 'already-done' };
+            }
+
+            const toast = this.getToastText();
+            if (toast && (toast !== toastBefore || toastWatch.changed)) {
+                return this.labelMatches(toast, doneToastLabels)
+                    ? { status: 'confirmed', selected: true }
+                    : { status: 'failed', reason: `toast: "${toast}"`, selected: true };
+            }
+
+            await new Promise(resolve => this.clock.setTimeout(resolve, 100));
+        }
+
+        return { status: 'unknown', reason: 'no toast after selecting the menu entry', selected: true };
+    }
+
+    // Poll until find() returns something; null after timeout milliseconds or when the run is stopped
+    async waitFor(find, timeout = this.config.verifyTimeout) {
+        const deadline = this.clock.now() + timeout;
+
+        while (!this.shouldStop) {
+            const found = find();
+            if (found) return found;
+            if (this.clock.now() >= deadline) return null;
+            await new Promise(resolve => this.clock.setTimeout(resolve, 100));
+        }
+
+        return null;
+    }
+
+    // The row menu that is open right now; YouTube Music keeps one popup around and only hides it
+    getOpenMenu() {
+        return this.getOpenOverlay(BASE_SELECTORS.menuPopup);
+    }
+
+    // First visible element for the selector, judged by the dropdown or dialog it sits in
+    getOpenOverlay(selector) {
+        return Array.from(this.document.querySelectorAll(selector)).find(element => {
+            const overlay = element.closest('tp-yt-iron-dropdown, tp-yt-paper-dialog') || element;
+            return overlay.getAttribute('aria-hidden') !== 'true' && this.isElementVisible(overlay);
+        }) || null;
+    }
+
+    // Menu entry whose text contains one of the labels
+    findMenuItem(menu, labels) {
+        return Array.from(menu.querySelectorAll(BASE_SELECTORS.menuItems))
+            .find(item => this.labelMatches(item.textContent.trim(), labels)) || null;
+    }
+
+    // Menus and dialogs close on Escape
+    closeOverlay(element) {
+        element.dispatchEvent(new this.window.KeyboardEvent('keydown', { key: 'Escape', code: 'Escape', keyCode: 27, bubbles: true }));
+    }
+
+    // Text of the notification toast currently on screen, if any
+    getToastText() {
+        for (const selector of BASE_SELECTORS.toasts) {
+            const toast = this.document.querySelector(selector);
+            if (toast && this.isElementVisible(toast) && toast.getAttribute('aria-hidden') !== 'true') {
+                const text = toast.textContent.trim();
+                if (text) return text;
+            }
+        }
+
+        return '';
+    }
+
+    // YouTube Music asks signed-out users to log in instead of accepting a rating
+    isSignInDialogOpen() {
+        const dialog = this.document.querySelector('ytmusic-modal-with-title-and-button-renderer, tp-yt-paper-dialog:not([aria-hidden="true"]) ytmusic-sign-in-promo-renderer');
+        return !!dialog && this.isElementVisible(dialog) && /sign in/i.test(dialog.textContent);
+    }
+
+    // Polymer overlays flag themselves with "opened"; anything else counts if it takes up space
+    isElementVisible(element) {
+        return element.hasAttribute('opened') ||
+            !!(element.offsetWidth || element.offsetHeight || element.getClientRects().length);
+    }
+
+    // Find the correct scrollable container for YouTube Music
+    getScrollContainer() {
+        // Updated selectors based on current YouTube Music structure
+        const selectors = this.getPageStrategy().scrollContainers || this.getSelectorProfile().selectors.scrollContainers;
+        
+        for (const selector of selectors) {
+            const element = this.document.querySelector(selector);
+            if (element) {
+                // Check if element is actually scrollable
+                const isScrollable = element.scrollHeight > element.clientHeight || 
+                                   element.scrollHeight > element.offsetHeight;
+                
+                if (isScrollable) {
+                    this.log(`Using scroll container: ${selector} (scrollHeight: ${element.scrollHeight}, clientHeight: ${element.clientHeight})`, 'debug');
+                    return element;
+                }
+                
+                this.log(`Found element for ${selector} but not scrollable`, 'debug');
+            }
+        }
+        
+        // Fallback to window/document if no container found
+        this.log('No scrollable container found, using window', 'debug');
+        return null;
+    }
+
+    // Element the song rows are attached to; watched for newly loaded rows
+    getTrackListContainer() {
+        const firstRow = this.getTrackRows()[0];
+        return this.queryRow(this.document, this.getPageStrategy().listContainers) ||
+               (firstRow ? firstRow.parentElement : null);
+    }
+
+    // The continuation item YouTube Music keeps at the bottom of the list while more rows can be loaded
+    getContinuationElement() {
+        return this.queryRow(this.document, this.getPageStrategy().continuations);
+    }
+
+    // Scroll the list (or the window) towards the last loaded row
+    scrollDown(scrollContainer) {
+        const lastSongItem = this.getTrackRows().pop();
+
+        if (scrollContainer) {
+            const maxScrollTop = scrollContainer.scrollHeight - scrollContainer.clientHeight;
+            const scrollAmount = Math.min(this.config.scrollDistance, maxScrollTop - scrollContainer.scrollTop);
+            if (scrollAmount > 0) {
+                scrollContainer.scrollTop += scrollAmount;
+                this.log(`Scrolled container by ${scrollAmount}px`, 'debug');
+            }
+        } else {
+            const maxWindowScroll = Math.max(
+                this.document.body.scrollHeight,
+                this.document.documentElement.scrollHeight
+            ) - this.window.innerHeight;
+            const scrollAmount = Math.min(this.config.scrollDistance, maxWindowScroll - this.window.pageYOffset);
+            if (scrollAmount > 0) {
+                this.window.scrollBy({ top: scrollAmount, behavior: 'smooth' });
+                this.log(`Scrolled window by ${scrollAmount}px`, 'debug');
+            }
+        }
+
+        // Bringing the last row (and so the continuation item below it) into view triggers the next page
+        if (lastSongItem) {
+            lastSongItem.scrollIntoView({ behavior: 'smooth', block: 'end', inline: 'nearest' });
+            this.log('Scrolled last song item into view', 'debug');
+        }
+
+        const continuation = this.getContinuationElement();
+        if (continuation) {
+            continuation.scrollIntoView({ behavior: 'smooth', block: 'end', inline: 'nearest' });
+        }
+    }
+
+    // Scroll down and wait for the playlist to react: resolves as soon as new rows are attached
+    // ({ loaded }), when the continuation item is gone for good ({ endOfPlaylist }) or after
+    // loadWaitTime without either ({ timedOut })
+    async scrollToLoadMore() {
+        const initialSongCount = this.getTrackRows().length;
+        const container = this.getTrackListContainer();
+
+        this.log(`Scrolling to load more content... (attempt ${this.stats.scrollAttempts + 1})`, 'debug');
+        this.stats.scrollAttempts++;
+
+        const result = await new Promise(resolve => {
+            // The continuation item can be swapped out between pages, so only trust its absence after a short grace period
+            const endGracePeriod = Math.min(1000, this.config.loadWaitTime / 2);
+            let settled = false;
+            let endTimer = null;
+            let timeoutTimer = null;
+            let observer = null;
+
+            const finish = outcome => {
+                if (settled) return;
+                settled = true;
+                if (observer) observer.disconnect();
+                this.clock.clearTimeout(endTimer);
+                this.clock.clearTimeout(timeoutTimer);
+                resolve(outcome);
+            };
+
+            const check = () => {
+                const newRows = this.getTrackRows().length - initialSongCount;
+                if (newRows > 0) {
+                    finish({ loaded: true, newRows, endOfPlaylist: false, timedOut: false });
+                    return;
+                }
+
+                if (this.getContinuationElement()) {
+                    this.clock.clearTimeout(endTimer);
+                    endTimer = null;
+                } else if (!endTimer) {
+                    endTimer = this.clock.setTimeout(() => {
+                        if (!this.getContinuationElement() && this.getTrackRows().length === initialSongCount) {
+                            finish({ loaded: false, newRows: 0, endOfPlaylist: true, timedOut: false });
+                        }
+                    }, endGracePeriod);
+                }
+            };
+
+            // Watch the shelf rather than just the rows so the continuation item is covered too
+            const target = container ? (container.parentElement || container) : this.document.body;
+            observer = new this.window.MutationObserver(check);
+            observer.observe(target, { childList: true, subtree: true });
+            timeoutTimer = this.clock.setTimeout(() => finish({ loaded: false, newRows: 0, endOfPlaylist: false, timedOut: true }), this.config.loadWaitTime);
+
+            this.scrollDown(this.getScrollContainer());
+            check();
+        });
+
+        if (result.loaded) {
+            this.log(`Loaded ${result.newRows} new rows (${initialSongCount} -> ${initialSongCount + result.newRows})`, 'debug', { newRows: result.newRows });
+        } else if (result.endOfPlaylist) {
+            this.log('No continuation left - reached the end of the playlist', 'debug');
+        } else {
+            this.log(`No new rows within ${this.config.loadWaitTime}ms`, 'debug');
+        }
+
+        this.emit('scroll', { attempt: this.stats.scrollAttempts, ...result });
+        return result;
+    }
+
+    // Check if we should continue processing; { collecting: true } when only reading the page
+    shouldContinue({ collecting = false } = {}) {
+        if (this.shouldStop) {
+            if (this.fatalError) {
+                this.endReason = 'error';
+            } else {
+                this.endReason = 'stopped';
+                this.log('Script stopped by user', 'warning');
+            }
+            return false;
+        }
+        
+        if (this.stats.scrollAttempts >= this.config.maxScrollAttempts && !this.isGainingCoverage()) {
+            this.endReason = 'max-scroll';
+            this.log(`Reached maximum scroll attempts (${this.config.maxScrollAttempts})`, 'warning');
+            return false;
+        }
+
+        // The daily cap only matters when we would click something
+        if (!collecting && !this.config.dryRun && this.rateLimiter.isDailyCapReached()) {
+            this.endReason = 'daily-cap';
+            this.log(`Daily cap of ${this.config.dailyCap} actions reached`, 'warning');
+            return false;
+        }
+        
+        return true;
+    }
+
+    // Whether the run should scroll on past maxScrollAttempts: declared tracks were still missing
+    // when the limit was hit, and the last scroll loaded new rows. Once past the limit the run goes
+    // on until the end of the list is confirmed or a scroll brings nothing
+    isGainingCoverage() {
+        if (this.retryOnly || !this.lastLoad || !this.lastLoad.loaded) return false;
+        if (this.extendedForCoverage) return true;
+
+        const coverage = this.getCoverage();
+        if (!coverage.belowTarget) return false;
+
+        this.extendedForCoverage = true;
+        this.log(`Reached ${this.config.maxScrollAttempts} scroll attempts with ${coverage.seen} of ${coverage.declaredTracks} declared tracks seen - scrolling on while rows keep loading`, 'info', { coverage });
+        return true;
+    }
+
+    // Main execution loop; resolves with the run result (see getRunResult())
+    async start() {
+        if (this.isRunning) {
+            this.log('Script is already running', 'warning');
+            return null;
+        }
+        
+        this.isRunning = true;
+        this.shouldStop = false;
+        this.endReason = null;
+        this.fatalError = null;
+        this.lastLoad = null;
+        this.extendedForCoverage = false;
+        this.journalSession = null;
+        this.snapshotBaseline = null;
+        this.lastChanges = null;
+        this.isPaused = false;
+        this.stats.startTime = this.clock.now();
+        this.stats.pausedTime = 0;
+        this.runNumber++;
+        this.registry.clear();
+        this.stats.totalActions = 0;
+        this.stats.alreadyDone = 0;
+        this.stats.wouldAct = 0;
+        this.stats.skipped = 0;
+        this.stats.skipReasons = {};
+        this.stats.confirmed = 0;
+        this.stats.failed = 0;
+        this.stats.unverified = 0;
+        // A resumed session puts back its own count in beginSession()
+        this.stats.scrollAttempts = 0;
+        if (this.importList) {
+            this.importList.reset();
+        }
+        
+        if (!this.preparePageType()) {
+            this.isRunning = false;
+            this.isResuming = false;
+            this.resumedConfig = null;
+            const result = this.getRunResult('error', this.detectPageType().error);
+            this.emit('error', { message: result.error, fatal: true });
+            return result;
+        }
+        this.applyPlaylistOverrides();
+        this.applyResumedConfig();
+        this.beginSession();
+        
+        // The page language may have changed since the last run
+        this.activeProfile = this.resolveProfile();
+        
+        this.log(this.config.dryRun
+            ? `🚀 Starting YouTube Music Auto-Like preview in "${this.modeName}" mode (dry run, nothing will be clicked)...`
+            : `🚀 Starting YouTube Music Auto-Like script in "${this.modeName}" mode...`);
+        this.log('💡 You can pause or stop the script anytime by running: autoLiker.pause() / autoLiker.stop()');
+        if (!this.filter.isEmpty) {
+            this.log('🎛️ Filter rules active: songs that do not match will be skipped');
+        }
+        this.log(`🌐 Selector profile: "${this.activeProfile.name}" (page language: ${this.document.documentElement.lang || 'not set'})`, 'debug');
+        if (this.importList) {
+            this.log(`📋 Import list active: only the ${this.importList.size} imported tracks will be ${this.mode.pastTense}`);
+        }
+        if (this.config.onlyNewTracks && !this.retryOnly) {
+            this.useSnapshotBaseline();
+        }
+        
+        // Make the instance globally available for manual control
+        this.window.autoLiker = this;
+        
+        this.emit('started', {
+            mode: this.modeName,
+            dryRun: this.config.dryRun,
+            playlistId: this.getPlaylistId(),
+            pageType: this.pageType,
+            resuming: this.isResuming
+        });
+        
+        let reachedEnd = false;
+        let result = null;
+
+        try {
+            // Scrolls in a row that loaded nothing while the continuation item was still there
+            let stalledLoads = 0;
+            // Extra scrolls after the list looked finished while declared tracks were still missing
+            let coverageRetries = 0;
+            
+            while (this.shouldContinue()) {
+                // Safe point between cycles
+                await this.waitIfPaused();
+                if (!this.shouldContinue()) break;
+
+                // Process all visible songs first
+                const processedCount = await this.likeVisibleSongs();
+                // Stopped (or out of quota) halfway through the visible rows: don't mistake the next scroll for the end
+                if (!this.shouldContinue()) break;
+
+                if (this.retryOnly && this.retryOnly.size === this.registry.all().filter(track =>
+                    this.retryOnly.has(track.id) && track.outcome).length) {
+                    this.log(this.undoPlan ? 'All journaled tracks have been handled' : 'All failed tracks have been retried');
+                    reachedEnd = true;
+                    break;
+                }
+                
+                if (processedCount > 0) {
+                    this.log(`Successfully ${this.mode.pastTense} ${processedCount} songs, scrolling for more...`, 'debug');
+                }
+
+                const load = await this.scrollToLoadMore();
+                this.lastLoad = load;
+
+                if (load.endOfPlaylist) {
+                    const coverage = this.getCoverage();
+                    if (coverage.belowTarget && coverageRetries < this.config.coverageRetries && !this.retryOnly) {
+                        coverageRetries++;
+                        this.log(`The list looks finished, but only ${coverage.seen} of ${coverage.declaredTracks} declared tracks were seen - looking for more (${coverageRetries}/${this.config.coverageRetries})`, 'info', { coverage });
+                        await this.delay(this.config.scrollDelay / 2);
+                        continue;
+                    }
+
+                    this.log('Reached the end of the playlist');
+                    reachedEnd = true;
+                    break;
+                }
+
+                if (load.loaded) {
+                    coverageRetries = 0;
+                }
+
+                if (load.timedOut) {
+                    stalledLoads++;
+                    this.log(`No new rows loaded (${stalledLoads}/3)`, 'debug');
+
+                    if (stalledLoads >= 3) {
+                        this.log('Loading more rows keeps timing out - stopping here. Try a larger loadWaitTime.', 'warning');
+                        this.endReason = 'stalled';
+                        break;
+                    }
+                } else {
+                    stalledLoads = 0;
+                }
+
+                // Wait before next cycle (shorter delay since we have better logic now),
+                // unless we are still fast-forwarding past tracks processed before a reload
+                if (this.lastScanResumed) {
+                    this.log('Fast-forwarding past tracks processed before the reload...', 'debug');
+                } else {
+                    await this.delay(this.config.scrollDelay / 2);
+                }
+            }
+            
+        } catch (error) {
+            this.log(`Unexpected error: ${error.message}`, 'error');
+            this.endReason = 'error';
+            this.fatalError = error.message;
+            this.emit('error', { message: error.message, error, fatal: true });
+        } finally {
+            this.isRunning = false;
+            this.isResuming = false;
+            this.isPaused = false;
+            this.finishSession(reachedEnd);
+            // Undo and retry runs stop once their tracks are handled, so only full runs give a complete list
+            if (reachedEnd && !this.retryOnly && !this.config.dryRun) {
+                this.saveSnapshot();
+            }
+            this.snapshotBaseline = null;
+            const endReason = reachedEnd ? 'completed' : this.endReason || 'stopped';
+            this.showFinalStats(endReason);
+            result = this.getRunResult(endReason, this.fatalError);
+            this.pageType = null;
+            this.restorePlaylistOverrides();
+        }
+
+        this.lastResult = result;
+        this.emit('finished', result);
+        return result;
+    }
+
+    // Structured outcome of a run: counts, coverage, one entry per track, timing and why it ended
+    // ('completed', 'stopped', 'max-scroll', 'daily-cap', 'stalled' or 'error')
+    getRunResult(endReason, error = null) {
+        const tracks = this.registry.all()
+            .filter(track => track.outcome !== 'ignored')
+            .sort((a, b) => a.rowIndex - b.rowIndex)
+            .map(track => ({
+                id: track.id,
+                videoId: track.videoId,
+                title: track.title,
+                artists: track.artists,
+                album: track.album,
+                outcome: track.outcome,
+                reason: track.skipReason || track.failReason || null,
+                verification: track.verification || null,
+                previousState: track.previousState || null,
+                likeState: track.likeState
+            }));
+
+        return {
+            endReason,
+            error,
+            mode: this.modeName,
+            dryRun: this.config.dryRun,
+            playlistId: this.getPlaylistId(),
+            pageType: this.pageType,
+            counts: {
+                uniqueTracks: tracks.length,
+                totalActions: this.stats.totalActions,
+                alreadyDone: this.stats.alreadyDone,
+                wouldAct: this.stats.wouldAct,
+                skipped: this.stats.skipped,
+                skipReasons: { ...this.stats.skipReasons },
+                confirmed: this.stats.confirmed,
+                failed: this.stats.failed,
+                unverified: this.stats.unverified,
+                scrollAttempts: this.stats.scrollAttempts
+            },
+            coverage: this.getCoverage(),
+            changes: this.lastChanges ? this.summarizeChanges(this.lastChanges) : null,
+            tracks,
+            startedAt: new Date(this.stats.startTime).toISOString(),
+            finishedAt: new Date(this.clock.now()).toISOString(),
+            durationMs: this.getActiveRuntime(),
+            pausedMs: this.stats.pausedTime
+        };
+    }
+
+    // Stop the script
+    stop() {
+        if (!this.isRunning && !this.isBatchRunning) {
+            this.log('Script is not currently running', 'warning');
+            return;
+        }
+        
+        this.shouldStop = true;
+        this.log('Stopping script...', 'warning');
+
+        // Let a paused run reach its stop check
+        if (this.isPaused) {
+            this.releasePause();
+        }
+    }
+
+    // Suspend the run at the next safe point (between clicks, between cycles or mid-delay)
+    pause() {
+        if (!this.isRunning && !this.isBatchRunning) {
+            this.log('Script is not currently running', 'warning');
+            return;
+        }
+        if (this.isPaused) {
+            this.log('Script is already paused', 'warning');
+            return;
+        }
+
+        this.isPaused = true;
+        this.pausedAt = this.clock.now();
+        this.log('⏸️ Paused. Run autoLiker.resume() to continue or autoLiker.stop() to end the run.', 'warning');
+        this.emit('paused', { pausedAt: this.pausedAt });
+    }
+
+    // Book the paused time and wake up every loop waiting at a safe point
+    releasePause() {
+        this.stats.pausedTime += this.clock.now() - this.pausedAt;
+        this.isPaused = false;
+        this.pausedAt = null;
+
+        const waiters = this.pauseWaiters;
+        this.pauseWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    // Resolves straight away unless paused, in which case it waits for resume() or stop()
+    waitIfPaused() {
+        if (!this.isPaused) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.pauseWaiters.push(resolve));
+    }
+
+    // Runtime excluding the time spent paused (milliseconds)
+    getActiveRuntime() {
+        const pausedNow = this.isPaused ? this.clock.now() - this.pausedAt : 0;
+        return this.clock.now() - this.stats.startTime - this.stats.pausedTime - pausedNow;
+    }
+
+    // Playlist ID from the current URL (?list=...), or the album / artist / search equivalent, used to key saved sessions
+    getPlaylistId() {
+        return this.getPageStrategy().id(this.window.location);
+    }
+
+    // Config values that can be stored as JSON (filter rules may hold regexes and functions)
+    getPersistableConfig() {
+        const { filter, ...persistable } = this.config;
+        return persistable;
+    }
+
+    // Create the saved session for a new run, or pick up the one resume() loaded
+    beginSession() {
+        this.session = null;
+
+        // Retry runs only touch a handful of tracks and would overwrite the real run's progress
+        if (!this.config.persistSession || this.config.dryRun || this.retryOnly) return;
+
+        const playlistId = this.getPlaylistId();
+        if (!playlistId) {
+            this.log('No playlist ID in the URL - progress will not be saved', 'debug');
+            return;
+        }
+
+        if (this.isResuming) {
+            const saved = this.sessions.load(playlistId);
+            if (saved) {
+                this.session = saved;
+                Object.assign(this.stats, saved.stats);
+                this.log(`Resuming session from ${new Date(saved.startedAt).toLocaleString()} (${Object.keys(saved.processed).length} tracks already processed)`);
+                return;
+            }
+        }
+
+        this.session = {
+            playlistId,
+            mode: this.config.mode,
+            batchId: this.isBatchRunning ? this.batch.id : null,
+            config: this.getPersistableConfig(),
+            hasFilter: !this.filter.isEmpty,
+            processed: {},
+            stats: {},
+            startedAt: this.clock.now(),
+            updatedAt: this.clock.now(),
+            completed: false
+        };
+        this.saveProgress();
+    }
+
+    // Write processed videoIds and counts of the current run to localStorage
+    saveProgress() {
+        if (!this.session) return;
+
+        this.registry.all().forEach(track => {
+            if (track.outcome && track.videoId) {
+                this.session.processed[track.id] = track.outcome;
+            }
+        });
+
+        const { totalActions, alreadyDone, skipped, skipReasons, confirmed, failed, unverified, scrollAttempts } = this.stats;
+        this.session.stats = { totalActions, alreadyDone, skipped, skipReasons, confirmed, failed, unverified, scrollAttempts };
+        this.session.updatedAt = this.clock.now();
+
+        if (!this.sessions.save(this.session)) {
+            this.log('Could not save progress to localStorage', 'debug');
+        }
+    }
+
+    // Save the final state; only a run that reached the end of the playlist is marked completed
+    finishSession(completed) {
+        if (!this.session) return;
+
+        this.session.completed = completed;
+        this.saveProgress();
+    }
+
+    // Continue a paused run, or an unfinished run on this playlist that was interrupted by a reload
+    async resume() {
+        if (this.isPaused) {
+            const pausedMs = this.clock.now() - this.pausedAt;
+            this.releasePause();
+            this.log('▶️ Resumed');
+            this.emit('resumed', { pausedMs });
+            return;
+        }
+        if (this.isRunning) {
+            this.log('Script is already running', 'warning');
+            return;
+        }
+
+        const playlistId = this.getPlaylistId();
+        const saved = playlistId ? this.sessions.load(playlistId) : null;
+
+        if (!saved) {
+            this.log('No saved session for this playlist. Use autoLiker.start() to begin a new run.', 'warning');
+            return;
+        }
+        if (saved.completed) {
+            this.log('The saved session for this playlist already completed. Use autoLiker.start() to run again.', 'warning');
+            return;
+        }
+
+        // Carry over the settings of the interrupted run for this run only (except filter rules, which can't be stored)
+        const values = ConfigStore.known(saved.config || {});
+        const errors = ConfigStore.validate({ ...this.config, ...values });
+        if (errors.length > 0) {
+            this.log(`The saved session's settings are not valid any more, continuing with the current ones: ${errors.join('; ')}`, 'warning');
+        } else {
+            this.resumedConfig = values;
+        }
+        if (saved.hasFilter && this.filter.isEmpty) {
+            this.log('The saved session used filter rules - pass the same filter to the constructor to apply them again', 'warning');
+        }
+
+        this.isResuming = true;
+        return this.start();
+    }
+
+    // Failed tracks from the last run, plus those recorded in this playlist's saved session
+    getFailedTracks() {
+        const failed = new Map();
+
+        this.registry.withOutcome('failed').forEach(track => {
+            failed.set(track.id, { id: track.id, title: this.formatTrack(track), reason: track.failReason || '' });
+        });
+
+        const playlistId = this.getPlaylistId();
+        const saved = playlistId ? this.sessions.load(playlistId) : null;
+        if (saved) {
+            Object.entries(saved.processed).forEach(([id, outcome]) => {
+                if (outcome === 'failed' && !failed.has(id)) {
+                    failed.set(id, { id, title: id, reason: 'failed in saved session' });
+                }
+            });
+        }
+
+        return Array.from(failed.values());
+    }
+
+    // Run again over the tracks whose click failed, leaving every other row alone
+    async retryFailed() {
+        if (this.isRunning) {
+            this.log('Script is already running', 'warning');
+            return;
+        }
+
+        const failed = this.getFailedTracks();
+        if (failed.length === 0) {
+            this.log('No failed tracks to retry');
+            return;
+        }
+
+        this.log(`🔁 Retrying ${failed.length} failed tracks...`);
+        this.retryOnly = new Set(failed.map(track => track.id));
+
+        try {
+            return await this.start();
+        } finally {
+            this.retryOnly = null;
+        }
+    }
+
+    // Add a click and its outcome to the current run's journal; the journal is created with the first click
+    recordAction(track, previousState, newState, status) {
+        if (!this.config.journal) return;
+
+        if (!this.journalSession) {
+            this.journalSession = {
+                id: `${this.stats.startTime.toString(36)}-${this.runNumber}`,
+                playlistId: this.getPlaylistId(),
+                title: this.getPlaylistTitle(),
+                mode: this.modeName,
+                undoOf: this.undoPlan ? this.undoSource : null,
+                startedAt: this.stats.startTime,
+                entries: []
+            };
+            this.journal.prune();
+        }
+
+        this.journalSession.entries.push({
+            trackId: track.id,
+            videoId: track.videoId,
+            title: track.title,
+            artists: track.artists,
+            previousState,
+            newState,
+            status,
+            timestamp: this.clock.now(),
+            undoneAt: null
+        });
+
+        if (!this.journal.save(this.journalSession)) {
+            this.log('Could not save the action journal to localStorage', 'debug');
+        }
+    }
+
+    // Journaled runs, oldest first, with how many of their changes can still be undone
+    listJournals() {
+        const journals = this.journal.list().map(session => ({
+            id: session.id,
+            playlistId: session.playlistId,
+            title: session.title,
+            mode: session.undoOf ? `undo of ${session.undoOf}` : session.mode,
+            actions: session.entries.length,
+            undoable: session.entries.filter(entry => entry.newState !== entry.previousState && !entry.undoneAt).length,
+            startedAt: new Date(session.startedAt).toLocaleString()
+        }));
+
+        if (journals.length > 0) {
+            this.logTable(`📓 ${journals.length} journaled runs:`, journals);
+        } else {
+            this.log('No journaled runs');
+        }
+        return journals;
+    }
+
+    clearJournal() {
+        this.journal.clear();
+        this.log('Cleared the action journal');
+    }
+
+    // Changes undo() should revert on this page, grouped per track: undo() takes the last run,
+    // undo('<journal id>') a specific one and undo(n) the last n changes
+    buildUndoPlan(target) {
+        const playlistId = this.getPlaylistId();
+        let picked;
+
+        if (typeof target === 'string') {
+            const session = this.journal.load(target);
+            if (!session) {
+                this.log(`No journal "${target}". List them with autoLiker.listJournals()`, 'error');
+                return null;
+            }
+            if (session.playlistId !== playlistId) {
+                this.log(`Journal "${target}" was recorded on "${session.title}" (${session.playlistId}) - open that page first`, 'error');
+                return null;
+            }
+            picked = { source: session.id, sessions: [session] };
+        } else if (target === undefined || (Number.isInteger(target) && target > 0)) {
+            // Undo runs are left out, so undoing twice doesn't flip the same tracks back again;
+            // menu actions (playlist, library, queue) don't change ratings and can't be undone here
+            const sessions = this.journal.list().filter(session => session.playlistId === playlistId && !session.undoOf &&
+                !(ACTION_MODES[session.mode] && ACTION_MODES[session.mode].menuItem));
+            picked = target === undefined
+                ? { source: sessions.length > 0 ? sessions[sessions.length - 1].id : null, sessions: sessions.slice(-1) }
+                : { source: `last ${target}`, sessions, limit: target };
+        } else {
+            this.log('undo() takes a journal id, a number of changes or nothing (the last run on this page)', 'error');
+            return null;
+        }
+
+        let changes = [];
+        picked.sessions.forEach(session => {
+            session.entries
+                .filter(entry => entry.newState !== entry.previousState && !entry.undoneAt)
+                .forEach(entry => changes.push({ session, entry }));
+        });
+        changes.sort((a, b) => a.entry.timestamp - b.entry.timestamp);
+        if (picked.limit) {
+            changes = changes.slice(-picked.limit);
+        }
+
+        // A track changed more than once goes back to its rating before the first change
+        const tracks = new Map();
+        changes.forEach(change => {
+            const { entry } = change;
+            const planned = tracks.get(entry.trackId);
+            if (planned) {
+                planned.newState = entry.newState;
+                planned.changes.push(change);
+            } else {
+                tracks.set(entry.trackId, {
+                    title: entry.title,
+                    artists: entry.artists,
+                    videoId: entry.videoId,
+                    previousState: entry.previousState,
+                    newState: entry.newState,
+                    mode: RESTORE_MODES[entry.previousState],
+                    changes: [change]
+                });
+            }
+        });
+
+        return { source: picked.source, tracks };
+    }
+
+    // Put back the ratings a journaled run changed, with the same throttling and click verification
+    // as a normal run. Resolves with the run result (see getRunResult())
+    async undo(target) {
+        if (this.isRunning) {
+            this.log('Script is already running', 'warning');
+            return null;
+        }
+
+        const plan = this.buildUndoPlan(target);
+        if (!plan) return null;
+        if (plan.tracks.size === 0) {
+            this.log('Nothing to undo on this page');
+            return null;
+        }
+
+        this.log(`↩️ Restoring ${plan.tracks.size} tracks from ${plan.source.startsWith('last') ? `the ${plan.source} changes` : `journal "${plan.source}"`}...`);
+        this.undoPlan = plan.tracks;
+        this.undoSource = plan.source;
+        this.retryOnly = new Set(plan.tracks.keys());
+
+        let result;
+        try {
+            result = await this.start();
+        } finally {
+            this.undoPlan = null;
+            this.undoSource = null;
+            this.retryOnly = null;
+        }
+
+        // Changes that are back to their earlier rating won't be offered for undo again
+        const restoredAt = this.clock.now();
+        const touched = new Set();
+        result.tracks
+            .filter(track => track.outcome === 'done' || track.outcome === 'already-done')
+            .forEach(track => {
+                plan.tracks.get(track.id).changes.forEach(({ session, entry }) => {
+                    entry.undoneAt = restoredAt;
+                    touched.add(session);
+                });
+            });
+        touched.forEach(session => this.journal.save(session));
+
+        const missing = Array.from(plan.tracks.entries()).filter(([id]) => !this.registry.get(id));
+        if (missing.length > 0) {
+            this.logTable(`${missing.length} journaled tracks were not found on this page:`, missing.map(([id, planned]) => ({
+                title: planned.title,
+                artists: planned.artists.join(', '),
+                videoId: planned.videoId || id,
+                restoreTo: planned.previousState
+            })), 'warning');
+        }
+
+        return result;
+    }
+
+    // Whether this playlist has an unfinished saved session
+    hasResumableSession() {
+        const playlistId = this.getPlaylistId();
+        const saved = playlistId ? this.sessions.load(playlistId) : null;
+        return !!saved && !saved.completed;
+    }
+
+    // List saved sessions for all playlists
+    listSessions() {
+        const sessions = this.sessions.list().map(session => ({
+            playlistId: session.playlistId,
+            mode: session.mode,
+            processed: Object.keys(session.processed).length,
+            actions: session.stats.totalActions || 0,
+            completed: session.completed,
+            startedAt: new Date(session.startedAt).toLocaleString(),
+            updatedAt: new Date(session.updatedAt).toLocaleString()
+        }));
+
+        if (sessions.length > 0) {
+            this.logTable(`💾 ${sessions.length} saved sessions:`, sessions);
+        } else {
+            this.log('No saved sessions');
+        }
+
+        return sessions;
+    }
+
+    // Delete the saved session of one playlist, or of every playlist when no ID is given
+    clearSessions(playlistId) {
+        if (playlistId) {
+            this.sessions.remove(playlistId);
+            this.log(`Cleared saved session for playlist ${playlistId}`);
+        } else {
+            this.sessions.clear();
+            this.log('Cleared all saved sessions');
+        }
+    }
+
+    // Playlist ID from a playlist URL, a /browse/VL... path or a bare ID
+    parsePlaylistId(input) {
+        const text = String(input || '').trim();
+        if (!text) return null;
+
+        const listMatch = text.match(/[?&]list=([\w-]+)/) || text.match(/\/browse\/VL([\w-]+)/);
+        if (listMatch) return listMatch[1];
+
+        return /^[\w-]+$/.test(text) ? text : null;
+    }
+
+    // Run the normal like loop on each playlist in turn, navigating inside YouTube Music between them
+    async runBatch(playlists) {
+        if (this.isRunning || this.isBatchRunning) {
+            this.log('Script is already running', 'warning');
+            return null;
+        }
+        if (!Array.isArray(playlists) || playlists.length === 0) {
+            this.log('Pass an array of playlist URLs or IDs, e.g. autoLiker.runBatch([\'PL...\', \'https://music.youtube.com/playlist?list=PL...\'])', 'error');
+            return null;
+        }
+
+        const entries = [];
+        for (const input of playlists) {
+            const playlistId = this.parsePlaylistId(input);
+            if (!playlistId) {
+                this.log(`Not a playlist URL or ID: ${input}`, 'error');
+                return null;
+            }
+            entries.push({ input: String(input), playlistId });
+        }
+
+        if (this.batch.hasPending()) {
+            this.log('Replacing the unfinished batch with the new one', 'warning');
+        }
+        this.batch.create(entries);
+        this.log(`📚 Batch of ${entries.length} playlists queued`);
+
+        return this.processBatch();
+    }
+
+    // Continue a batch that was stopped or interrupted by a reload
+    async resumeBatch() {
+        if (this.isRunning || this.isBatchRunning) {
+            this.log('Script is already running', 'warning');
+            return null;
+        }
+        if (!this.batch.hasPending()) {
+            this.log('No unfinished batch to resume. Use autoLiker.runBatch([...]) to start one.', 'warning');
+            return null;
+        }
+
+        const remaining = this.batch.items.filter(item => item.status !== 'done' && item.status !== 'failed').length;
+        this.log(`📚 Resuming batch: ${remaining} of ${this.batch.items.length} playlists left`);
+
+        return this.processBatch();
+    }
+
+    // Whether a batch has playlists left to process
+    hasPendingBatch() {
+        return this.batch.hasPending();
+    }
+
+    // Forget the batch queue
+    clearBatch() {
+        if (this.isBatchRunning) {
+            this.log('Cannot clear the batch while it is running', 'warning');
+            return false;
+        }
+
+        this.batch.clear();
+        this.log('Cleared the batch queue');
+        return true;
+    }
+
+    async processBatch() {
+        this.isBatchRunning = true;
+        this.shouldStop = false;
+        const total = this.batch.items.length;
+
+        try {
+            let item;
+            while (!this.shouldStop && (item = this.batch.next())) {
+                await this.waitIfPaused();
+                if (this.shouldStop) break;
+
+                const position = this.batch.items.indexOf(item) + 1;
+                const wasStarted = item.status === 'stopped' || item.status === 'running';
+                this.log(`📚 Playlist ${position}/${total}: ${item.playlistId}`);
+                this.batch.update(item, { status: 'running', error: null, startedAt: item.startedAt || this.clock.now() });
+
+                const loaded = await this.navigateToPlaylist(item.playlistId);
+                if (this.shouldStop) {
+                    this.batch.update(item, { status: 'stopped' });
+                    break;
+                }
+                if (!loaded) {
+                    this.batch.update(item, { status: 'failed', error: 'playlist did not load', finishedAt: this.clock.now() });
+                    this.log(`Playlist ${item.playlistId} did not load within ${this.config.navigationTimeout}ms - skipping it`, 'error');
+                    continue;
+                }
+
+                // A playlist this batch stopped on earlier continues from its saved session
+                const result = wasStarted && this.findBatchSession(item.playlistId) ? await this.resume() : await this.start();
+                const status = this.getBatchItemStatus(result);
+
+                this.batch.update(item, {
+                    status,
+                    error: status === 'failed' ? this.describeBatchFailure(result) : null,
+                    title: this.getPlaylistTitle(),
+                    stats: this.getBatchItemStats(result),
+                    finishedAt: status === 'stopped' ? null : this.clock.now()
+                });
+
+                if (!this.config.dryRun && this.rateLimiter.isDailyCapReached()) {
+                    this.log('Daily cap reached - the rest of the batch can be resumed tomorrow with autoLiker.resumeBatch()', 'warning');
+                    break;
+                }
+            }
+        } catch (error) {
+            this.log(`Batch error: ${error.message}`, 'error');
+        } finally {
+            this.isBatchRunning = false;
+            this.showBatchStats();
+        }
+
+        return this.getBatchReport();
+    }
+
+    // Unfinished session the current batch left on a playlist, in the mode now chosen; sessions of
+    // other runs are started over instead of resumed, so they can't bring back their own settings
+    findBatchSession(playlistId) {
+        const saved = this.sessions.load(playlistId);
+        return saved && !saved.completed && saved.batchId === this.batch.id && saved.mode === this.config.mode ? saved : null;
+    }
+
+    // Open a playlist inside the YouTube Music app; a full page load would end the script
+    async navigateToPlaylist(playlistId) {
+        if (this.isPlaylistRendered(playlistId)) {
+            return true;
+        }
+
+        const path = `/playlist?list=${encodeURIComponent(playlistId)}`;
+        const app = this.document.querySelector('ytmusic-app');
+        let usedHistory = false;
+
+        if (app) {
+            // Same event YouTube Music's own links fire at the app router
+            app.dispatchEvent(new this.window.CustomEvent('yt-navigate', {
+                bubbles: true,
+                composed: true,
+                detail: {
+                    endpoint: {
+                        browseEndpoint: { browseId: `VL${playlistId}` },
+                        commandMetadata: { webCommandMetadata: { url: path } }
+                    }
+                }
+            }));
+        } else {
+            this.navigateWithHistory(path);
+            usedHistory = true;
+        }
+
+        const startedAt = this.clock.now();
+        while (this.clock.now() - startedAt < this.config.navigationTimeout && !this.shouldStop) {
+            if (this.isPlaylistRendered(playlistId)) {
+                this.log(`Opened playlist ${playlistId}`, 'debug');
+                return true;
+            }
+
+            // The router ignored the event: let it pick up a history change instead
+            if (!usedHistory && this.clock.now() - startedAt > 2000 && this.getPlaylistId() !== playlistId) {
+                this.log('Navigation event was not handled, switching the URL through the history API', 'debug');
+                this.navigateWithHistory(path);
+                usedHistory = true;
+            }
+
+            await this.delay(250);
+        }
+
+        return false;
+    }
+
+    navigateWithHistory(path) {
+        this.window.history.pushState({}, '', path);
+        this.window.dispatchEvent(new this.window.PopStateEvent('popstate', { state: {} }));
+    }
+
+    // The URL points at the playlist and its rows (not the previous page's) are on screen
+    isPlaylistRendered(playlistId) {
+        if (new URLSearchParams(this.window.location.search).get('list') !== playlistId) {
+            return false;
+        }
+
+        const firstRow = this.document.querySelector(BASE_SELECTORS.rows);
+        if (!firstRow) return false;
+
+        const link = firstRow.querySelector('a[href*="watch?v="]');
+        const href = link ? link.getAttribute('href') || '' : '';
+        return !/[?&]list=/.test(href) || href.includes(`list=${playlistId}`);
+    }
+
+    // Counts of the run that just ended, stored per batch playlist
+    // Only a run that reached the end of the list is done. Stopped runs and the daily cap leave the
+    // playlist to resumeBatch(); runs that gave up (max-scroll, stalled, error) are marked failed
+    getBatchItemStatus(result) {
+        if (!result) return 'failed';
+
+        switch (result.endReason) {
+            case 'completed':
+                return 'done';
+            case 'stopped':
+            case 'daily-cap':
+                return 'stopped';
+            default:
+                return 'failed';
+        }
+    }
+
+    describeBatchFailure(result) {
+        if (!result) return 'run did not start';
+        if (result.endReason === 'error') return result.error || 'error';
+        return `ended early (${result.endReason})`;
+    }
+
+    getBatchItemStats(result) {
+        return {
+            uniqueTracks: this.registry.size,
+            totalActions: this.stats.totalActions,
+            wouldAct: this.stats.wouldAct,
+            alreadyDone: this.stats.alreadyDone,
+            skipped: this.stats.skipped,
+            failed: this.stats.failed,
+            runtimeSeconds: Math.round(this.getActiveRuntime() / 1000),
+            endReason: result ? result.endReason : null
+        };
+    }
+
+    // Per-playlist results and totals of the current (or last) batch
+    getBatchReport() {
+        const items = this.batch.items.map(item => ({
+            playlistId: item.playlistId,
+            title: item.title,
+            status: item.status,
+            error: item.error,
+            ...(item.stats || {})
+        }));
+
+        const totals = { playlists: items.length, done: 0, failed: 0, pending: 0, uniqueTracks: 0, totalActions: 0, wouldAct: 0, alreadyDone: 0, skipped: 0, failedTracks: 0, runtimeSeconds: 0 };
+        this.batch.items.forEach(item => {
+            if (item.status === 'done') totals.done++;
+            else if (item.status === 'failed') totals.failed++;
+            else totals.pending++;
+
+            if (item.stats) {
+                totals.uniqueTracks += item.stats.uniqueTracks;
+                totals.totalActions += item.stats.totalActions;
+                totals.wouldAct += item.stats.wouldAct;
+                totals.alreadyDone += item.stats.alreadyDone;
+                totals.skipped += item.stats.skipped;
+                totals.failedTracks += item.stats.failed;
+                totals.runtimeSeconds += item.stats.runtimeSeconds;
+            }
+        });
+
+        return { items, totals, completed: items.length > 0 && totals.pending === 0 };
+    }
+
+    // Print the per-playlist table and the totals of the batch
+    showBatchStats() {
+        const report = this.getBatchReport();
+        if (report.items.length === 0) return;
+
+        const { totals } = report;
+        const verb = this.config.dryRun ? 'Would act' : this.mode.pastTense.charAt(0).toUpperCase() + this.mode.pastTense.slice(1);
+
+        this.log('📚 === BATCH SUMMARY ===');
+        this.log(`📋 Playlists: ${totals.done} done, ${totals.failed} failed, ${totals.pending} left of ${totals.playlists}`);
+        this.log(`🎵 Tracks seen: ${totals.uniqueTracks}`);
+        this.log(`❤️ ${verb}: ${this.config.dryRun ? totals.wouldAct : totals.totalActions}`);
+        this.log(`✔️ Already done: ${totals.alreadyDone}`);
+        if (totals.skipped > 0) {
+            this.log(`🚫 Skipped: ${totals.skipped}`);
+        }
+        if (totals.failedTracks > 0) {
+            this.log(`❌ Failed clicks: ${totals.failedTracks}`, 'warning');
+        }
+        this.log(`⏱️ Total runtime: ${totals.runtimeSeconds} seconds`);
+
+        this.logTable('📋 Per playlist:', report.items.map(item => ({
+            playlist: item.playlistId,
+            title: item.title || '',
+            status: item.error ? `${item.status} (${item.error})` : item.status,
+            tracks: item.uniqueTracks !== undefined ? item.uniqueTracks : '',
+            [verb.toLowerCase()]: item.uniqueTracks !== undefined ? (this.config.dryRun ? item.wouldAct : item.totalActions) : '',
+            alreadyDone: item.alreadyDone !== undefined ? item.alreadyDone : '',
+            skipped: item.skipped !== undefined ? item.skipped : '',
+            failed: item.failed !== undefined ? item.failed : '',
+            seconds: item.runtimeSeconds !== undefined ? item.runtimeSeconds : ''
+        })));
+
+        if (totals.pending > 0) {
+            this.log(`💡 ${totals.pending} playlists left - continue with autoLiker.resumeBatch()`, 'warning');
+        } else {
+            this.log('✅ Batch complete!', 'success');
+        }
+    }
+
+    // Playlist ID of the current page when it's a playlist (watch mode only handles playlists)
+    getCurrentPlaylistId() {
+        return PAGE_TYPES.playlist.matches(this.window.location) ? PAGE_TYPES.playlist.id(this.window.location) : null;
+    }
+
+    // Add the open playlist to the watch allow-list. Options passed are saved as the playlist's own settings,
+    // like configure({...}, { playlist: true }); everything else follows the current settings
+    allowPlaylist(overrides = {}) {
+        const playlistId = this.getCurrentPlaylistId();
+        if (!playlistId) {
+            this.log('Open the playlist you want to add first', 'error');
+            return false;
+        }
+
+        const existing = this.watchList.get(playlistId);
+        const { filter, ...storable } = overrides;
+        if (filter) {
+            this.log('Filter rules cannot be saved with a playlist and are ignored', 'warning');
+        }
+        // configure() checks and logs the options; nothing is added when they are rejected
+        if (Object.keys(storable).length > 0 && !this.configure(storable, { playlist: playlistId }).ok) {
+            return false;
+        }
+
+        this.watchList.set(playlistId, {
+            title: this.getPlaylistTitle(),
+            addedAt: existing ? existing.addedAt : this.clock.now(),
+            knownTrackIds: existing ? existing.knownTrackIds : null,
+            lastRunAt: existing ? existing.lastRunAt : null
+        });
+
+        this.log(`👀 ${existing ? 'Updated' : 'Added'} "${this.getPlaylistTitle()}" (${playlistId}) ${existing ? 'in' : 'to'} the watch list`, 'success');
+        if (!this.watcher) {
+            this.log('Run autoLiker.watch() to start watching for it');
+        }
+        return true;
+    }
+
+    // Remove a playlist (the open one by default) from the watch allow-list
+    disallowPlaylist(playlistId = this.getCurrentPlaylistId()) {
+        if (!playlistId || !this.watchList.remove(playlistId)) {
+            this.log(`Playlist ${playlistId || '(none open)'} is not in the watch list`, 'warning');
+            return false;
+        }
+
+        this.log(`Removed ${playlistId} from the watch list`);
+        return true;
+    }
+
+    listAllowedPlaylists() {
+        const playlists = this.watchList.list().map(({ playlistId, title, addedAt, lastRunAt, knownTrackIds }) => ({
+            playlistId,
+            title,
+            mode: (this.configStore.getPlaylist(playlistId) || {}).mode || this.getBaseConfig().mode,
+            addedAt: new Date(addedAt).toLocaleString(),
+            lastRunAt: lastRunAt ? new Date(lastRunAt).toLocaleString() : 'never',
+            knownTracks: knownTrackIds ? knownTrackIds.length : 0
+        }));
+
+        if (playlists.length > 0) {
+            this.logTable(`👀 ${playlists.length} playlists in the watch list (watch mode ${this.watcher ? 'on' : 'off'}):`, playlists);
+        } else {
+            this.log('The watch list is empty. Open a playlist and run autoLiker.allowPlaylist()');
+        }
+        return playlists;
+    }
+
+    // Watch YouTube Music's in-app navigation and run on allow-listed playlists as they are opened
+    watch() {
+        if (this.watcher) {
+            this.log('Watch mode is already on', 'warning');
+            return false;
+        }
+
+        const check = () => this.handleNavigation();
+        const documentEvents = ['yt-navigate-finish', 'yt-page-data-updated'];
+        documentEvents.forEach(event => this.document.addEventListener(event, check));
+        this.window.addEventListener('popstate', check);
+        // Not every navigation fires an event we can see; comparing the URL catches the rest
+        const timer = this.clock.setInterval(() => {
+            if (this.window.location.href !== this.lastWatchedUrl) check();
+        }, 1000);
+
+        this.watcher = {
+            remove: () => {
+                documentEvents.forEach(event => this.document.removeEventListener(event, check));
+                this.window.removeEventListener('popstate', check);
+                this.clock.clearInterval(timer);
+            }
+        };
+        this.lastWatchedUrl = null;
+        this.watchList.setEnabled(true);
+
+        const count = this.watchList.list().length;
+        this.log(`👀 Watch mode on: ${count} allow-listed playlist${count === 1 ? '' : 's'}. Turn it off with autoLiker.unwatch()`, 'success');
+        check();
+        return true;
+    }
+
+    unwatch() {
+        if (!this.watcher) {
+            this.log('Watch mode is not on', 'warning');
+            return false;
+        }
+
+        this.watcher.remove();
+        this.watcher = null;
+        this.watchList.setEnabled(false);
+        this.log('Watch mode off');
+        return true;
+    }
+
+    async handleNavigation() {
+        const url = this.window.location.href;
+        if (url === this.lastWatchedUrl) return;
+        this.lastWatchedUrl = url;
+
+        const playlistId = this.getCurrentPlaylistId();
+
+        // Leaving the playlist a watch run is working on ends that run
+        if (this.watchRunId && this.isRunning && playlistId !== this.watchRunId) {
+            this.log('Navigated away from the watched playlist - stopping its run', 'warning');
+            this.stop();
+            return;
+        }
+
+        if (!playlistId || !this.watchList.get(playlistId)) return;
+        if (this.isRunning || this.isBatchRunning) {
+            this.log(`Watched playlist ${playlistId} opened while another run is active - not starting`, 'debug');
+            return;
+        }
+
+        await this.runWatched(playlistId);
+    }
+
+    // Run on an allow-listed playlist, acting only on tracks not seen before; start() applies the playlist's
+    // own settings
+    async runWatched(playlistId) {
+        const entry = this.watchList.get(playlistId);
+
+        // Wait for the playlist's own rows rather than the previous page's
+        const startedAt = this.clock.now();
+        while (!this.isPlaylistRendered(playlistId)) {
+            if (this.clock.now() - startedAt > this.config.navigationTimeout || this.getCurrentPlaylistId() !== playlistId) {
+                this.log(`Watched playlist ${playlistId} did not load - not starting`, 'warning');
+                return null;
+            }
+            await new Promise(resolve => this.clock.setTimeout(resolve, 250));
+        }
+        if (this.isRunning || this.isBatchRunning) return null;
+
+        this.log(`👀 Watched playlist opened: "${entry.title}" - ${entry.knownTrackIds ? `only tracks added since ${new Date(entry.lastRunAt).toLocaleString()}` : 'first run, every track'}`);
+
+        this.knownTrackIds = entry.knownTrackIds ? new Set(entry.knownTrackIds) : null;
+        this.watchRunId = playlistId;
+
+        let result = null;
+        try {
+            result = await this.start();
+        } finally {
+            this.knownTrackIds = null;
+            this.watchRunId = null;
+        }
+
+        // Tracks that were handled become known. Failed and skipped ones are tried again next time: a missing
+        // button may show up later, and the filter rules may change
+        if (result && result.endReason !== 'error' && !result.dryRun) {
+            const known = new Set(entry.knownTrackIds || []);
+            result.tracks
+                .filter(track => track.outcome === 'done' || track.outcome === 'already-done' || track.reason === 'not new since last run')
+                .forEach(track => known.add(track.id));
+
+            const current = this.watchList.get(playlistId);
+            if (current) {
+                this.watchList.set(playlistId, { ...current, knownTrackIds: Array.from(known), lastRunAt: this.clock.now() });
+            }
+        }
+
+        return result;
+    }
+
+    // Leave the tracks of this playlist's last snapshot alone for this run (onlyNewTracks)
+    useSnapshotBaseline() {
+        const snapshot = this.snapshots.latest(this.getPlaylistId());
+        if (!snapshot) {
+            this.log('🆕 No snapshot of this playlist yet - every track counts as new');
+            return;
+        }
+
+        this.snapshotBaseline = { takenAt: snapshot.takenAt, ids: new Set(snapshot.tracks.map(track => track.id)) };
+        this.log(`🆕 Only tracks added since the snapshot of ${new Date(snapshot.takenAt).toLocaleString()} (${snapshot.tracks.length} tracks) will be ${this.mode.pastTense}`);
+    }
+
+    // Store the track list of the run that just walked the whole page and report what changed since the last one
+    saveSnapshot() {
+        const playlistId = this.getPlaylistId();
+        if (!this.config.snapshots || !playlistId) return null;
+
+        const previous = this.snapshots.latest(playlistId);
+        const snapshot = {
+            playlistId,
+            title: this.getPlaylistTitle(),
+            takenAt: this.clock.now(),
+            tracks: this.registry.all()
+                .sort((a, b) => a.rowIndex - b.rowIndex)
+                .map(track => ({ id: track.id, videoId: track.videoId, title: track.title, artists: track.artists }))
+        };
+
+        if (!this.snapshots.add(snapshot)) {
+            this.log('Could not save the playlist snapshot to localStorage', 'debug');
+        }
+
+        if (previous) {
+            this.lastChanges = { previous, current: snapshot, ...PlaylistSnapshots.compare(previous, snapshot) };
+            const { added, removed, moved } = this.summarizeChanges(this.lastChanges);
+            this.log(`🗂️ Since ${new Date(previous.takenAt).toLocaleString()}: ${added} added, ${removed} removed, ${moved} moved - details with autoLiker.diff()`);
+        }
+        return snapshot;
     }
 
-    // Find the correct scrollable container for YouTube Music
-    getScrollContainer() {
-        // Updated selectors based on current YouTube Music structure
-        const selectors = [
-            // Primary scrollable container in YouTube Music playlists
-            'ytmusic-section-list-renderer.scroller',
-            'ytmusic-section-list-renderer',
-            // Contents within the playlist shelf
-            'ytmusic-playlist-shelf-renderer #contents',
-            // General contents containers
-            'ytmusic-two-column-browse-results-renderer #contents',
-            'ytmusic-browse-response #contents',
-            '#contents.style-scope.ytmusic-section-list-renderer',
-            '#contents',
-            // Fallback selectors
-            '.playlist-items',
-            '.ytmusic-playlist-shelf-renderer',
-            '[role="main"]',
-            '.main-panel',
-            '#main-panel',
-            // App layout container
-            'ytmusic-app-layout#layout'
+    summarizeChanges(changes) {
+        return {
+            since: new Date(changes.previous.takenAt).toISOString(),
+            added: changes.added.length,
+            removed: changes.removed.length,
+            moved: changes.moved.length
+        };
+    }
+
+    // Compare the last two snapshots of a playlist (the one open by default): added, removed and moved tracks
+    diff(playlistId = this.getPlaylistId()) {
+        const entry = playlistId ? this.snapshots.load(playlistId) : null;
+        if (!entry || entry.snapshots.length < 2) {
+            this.log(entry
+                ? `Only one snapshot of "${entry.title}" so far - run the script again (or autoLiker.takeSnapshot()) to compare`
+                : 'No snapshots of this playlist yet. They are saved after every complete run, or with autoLiker.takeSnapshot()', 'warning');
+            return null;
+        }
+
+        const [previous, current] = entry.snapshots.slice(-2);
+        const { added, removed, moved, unchanged } = PlaylistSnapshots.compare(previous, current);
+        const format = track => `"${track.title}"${track.artists.length > 0 ? ` by ${track.artists.join(', ')}` : ''}`;
+
+        this.log(`🗂️ "${entry.title}": ${new Date(previous.takenAt).toLocaleString()} (${previous.tracks.length} tracks) → ${new Date(current.takenAt).toLocaleString()} (${current.tracks.length} tracks)`);
+        this.log(`   ${added.length} added, ${removed.length} removed, ${moved.length} moved, ${unchanged} unchanged`);
+
+        const rows = [
+            ...added.map(track => ({ change: 'added', '#': track.position, track: format(track), videoId: track.videoId })),
+            ...removed.map(track => ({ change: 'removed', '#': track.position, track: format(track), videoId: track.videoId })),
+            ...moved.map(track => ({ change: 'moved', '#': `${track.from} → ${track.to}`, track: format(track), videoId: track.videoId }))
         ];
-        
-        for (const selector of selectors) {
-            const element = document.querySelector(selector);
-            if (element) {
-                // Check if element is actually scrollable
-                const isScrollable = element.scrollHeight > element.clientHeight || 
-                                   element.scrollHeight > element.offsetHeight;
-                
-                if (isScrollable) {
-                    this.log(`Using scroll container: ${selector} (scrollHeight: ${element.scrollHeight}, clientHeight: ${element.clientHeight})`, 'debug');
-                    return element;
-                }
-                
-                this.log(`Found element for ${selector} but not scrollable`, 'debug');
-            }
+        if (rows.length > 0) {
+            this.logTable('   Changes:', rows);
         }
-        
-        // Fallback to window/document if no container found
-        this.log('No scrollable container found, using window', 'debug');
-        return null;
+
+        return {
+            playlistId: entry.playlistId,
+            title: entry.title,
+            from: new Date(previous.takenAt).toISOString(),
+            to: new Date(current.takenAt).toISOString(),
+            added,
+            removed,
+            moved,
+            unchanged
+        };
     }
 
-    // Scroll down to load more content
-    async scrollToLoadMore() {
-        const scrollContainer = this.getScrollContainer();
-        
-        let initialHeight, scrollElement;
-        if (scrollContainer) {
-            initialHeight = scrollContainer.scrollHeight;
-            scrollElement = scrollContainer;
-        } else {
-            initialHeight = Math.max(document.body.scrollHeight, document.documentElement.scrollHeight);
-            scrollElement = window;
-        }
-        
-        this.log(`Scrolling to load more content... (attempt ${this.stats.scrollAttempts + 1})`, 'debug');
-        
-        // Get current scroll position
-        const initialScrollPos = scrollContainer ? scrollContainer.scrollTop : window.pageYOffset;
-        
-        // Get initial number of songs for comparison
-        const initialSongCount = this.getLikeButtons().length;
-        
-        // Try multiple scroll methods for better compatibility with YouTube Music
-        if (scrollContainer) {
-            // Method 1: Scroll the container element
-            const maxScrollTop = scrollContainer.scrollHeight - scrollContainer.clientHeight;
-            const currentScrollTop = scrollContainer.scrollTop;
-            const scrollAmount = Math.min(this.config.scrollDistance, maxScrollTop - currentScrollTop);
-            
-            if (scrollAmount > 0) {
-                scrollContainer.scrollTop += scrollAmount;
-                this.log(`Scrolled container by ${scrollAmount}px`, 'debug');
-            }
-            
-            // Method 2: Try scrollIntoView on the last visible song item
-            const lastSongItem = scrollContainer.querySelector('ytmusic-responsive-list-item-renderer:last-of-type');
-            if (lastSongItem) {
-                lastSongItem.scrollIntoView({ 
-                    behavior: 'smooth', 
-                    block: 'end',
-                    inline: 'nearest'
-                });
-                this.log('Scrolled last song item into view', 'debug');
-            }
-            
-            // Method 3: Force scroll to bottom if we're close
-            if (currentScrollTop > maxScrollTop * 0.9) {
-                scrollContainer.scrollTop = maxScrollTop;
-                this.log('Forced scroll to bottom of container', 'debug');
-            }
-        } else {
-            // Window scrolling methods
-            const maxWindowScroll = Math.max(
-                document.body.scrollHeight,
-                document.documentElement.scrollHeight
-            ) - window.innerHeight;
-            
-            const currentWindowScroll = window.pageYOffset;
-            const scrollAmount = Math.min(this.config.scrollDistance, maxWindowScroll - currentWindowScroll);
-            
-            if (scrollAmount > 0) {
-                window.scrollBy({ top: scrollAmount, behavior: 'smooth' });
-                this.log(`Scrolled window by ${scrollAmount}px`, 'debug');
-            }
-            
-            // Try scrolling to the last song element
-            const lastSongItem = document.querySelector('ytmusic-responsive-list-item-renderer:last-of-type');
-            if (lastSongItem) {
-                lastSongItem.scrollIntoView({ 
-                    behavior: 'smooth', 
-                    block: 'end',
-                    inline: 'nearest'
-                });
-                this.log('Scrolled last song item into view (window)', 'debug');
-            }
+    // Walk the whole list without acting on it, save it as a snapshot and compare it with the previous one
+    async takeSnapshot() {
+        const tracks = await this.collectAllTracks();
+        if (!tracks) return null;
+
+        if (!this.lastCollectionComplete) {
+            this.log('The end of the list was not reached - no snapshot saved', 'warning');
+            return null;
         }
-        
-        // Wait for content to load
-        await this.delay(this.config.loadWaitTime);
-        
-        // Check if we actually scrolled (with a small delay to account for smooth scrolling)
-        await this.delay(500); // Additional delay for smooth scroll animation
-        const currentScrollPos = scrollContainer ? scrollContainer.scrollTop : window.pageYOffset;
-        const didScroll = Math.abs(currentScrollPos - initialScrollPos) > 10; // Allow for small differences
-        
-        // Check for new content
-        let newHeight;
-        if (scrollContainer) {
-            newHeight = scrollContainer.scrollHeight;
-        } else {
-            newHeight = Math.max(document.body.scrollHeight, document.documentElement.scrollHeight);
+
+        this.lastChanges = null;
+        const snapshot = this.saveSnapshot();
+        if (!snapshot) {
+            this.log(this.config.snapshots ? 'This page has no playlist ID to file the snapshot under' : 'Snapshots are turned off (snapshots: false)', 'warning');
+            return null;
         }
-        
-        const hasNewContent = newHeight > initialHeight;
-        const newSongCount = this.getLikeButtons().length;
-        const hasNewSongs = newSongCount > initialSongCount;
-        
-        this.stats.scrollAttempts++;
-        
-        this.log(`Scroll results: didScroll=${didScroll} (${initialScrollPos}px -> ${currentScrollPos}px), hasNewContent=${hasNewContent} (${initialHeight}px -> ${newHeight}px), hasNewSongs=${hasNewSongs} (${initialSongCount} -> ${newSongCount})`, 'debug');
-        
-        if (hasNewContent) {
-            this.log('New content loaded after scrolling', 'debug');
-        } else if (didScroll) {
-            this.log('Scrolled but no new content detected', 'debug');
+
+        this.log(`📸 Saved a snapshot of ${snapshot.tracks.length} tracks`, 'success');
+        return this.lastChanges ? this.diff(snapshot.playlistId) : null;
+    }
+
+    // Snapshotted playlists, least recently snapshotted first
+    listSnapshots() {
+        const playlists = this.snapshots.list().map(entry => {
+            const latest = entry.snapshots[entry.snapshots.length - 1];
+            return {
+                playlistId: entry.playlistId,
+                title: entry.title,
+                snapshots: entry.snapshots.length,
+                tracks: latest.tracks.length,
+                lastTakenAt: new Date(latest.takenAt).toLocaleString()
+            };
+        });
+
+        if (playlists.length > 0) {
+            this.logTable(`🗂️ ${playlists.length} snapshotted playlists:`, playlists);
         } else {
-            this.log('Failed to scroll - may have reached end', 'debug');
+            this.log('No playlist snapshots');
         }
-        
-        // Return true if we found new content OR new songs appeared OR we successfully scrolled
-        return hasNewContent || hasNewSongs || didScroll;
+        return playlists;
     }
 
-    // Check if we should continue processing
-    shouldContinue() {
-        if (this.shouldStop) {
-            this.log('Script stopped by user', 'warning');
-            return false;
-        }
-        
-        if (this.stats.scrollAttempts >= this.config.maxScrollAttempts) {
-            this.log(`Reached maximum scroll attempts (${this.config.maxScrollAttempts})`, 'warning');
-            return false;
+    // Forget the snapshots of one playlist, or of all of them
+    clearSnapshots(playlistId) {
+        if (playlistId) {
+            this.log(this.snapshots.remove(playlistId) ? `Removed the snapshots of ${playlistId}` : `No snapshots of ${playlistId}`);
+            return;
         }
-        
-        return true;
+        this.snapshots.clear();
+        this.log('Cleared all playlist snapshots');
     }
 
-    // Main execution loop
-    async start() {
+    // Scroll through the whole playlist and register every row without acting on any of them
+    async collectAllTracks() {
         if (this.isRunning) {
             this.log('Script is already running', 'warning');
-            return;
+            return null;
         }
-        
+        if (!this.preparePageType()) {
+            return null;
+        }
+
         this.isRunning = true;
         this.shouldStop = false;
-        this.stats.startTime = Date.now();
-        
-        this.log('🚀 Starting YouTube Music Auto-Like script...');
-        this.log('💡 You can stop the script anytime by running: autoLiker.stop()');
-        
-        // Make the instance globally available for manual control
-        window.autoLiker = this;
-        
+        this.stats.scrollAttempts = 0;
+        this.registry.clear();
+        this.lastCollectionComplete = false;
+
+        this.log('📥 Collecting every track in the playlist...');
+
         try {
-            let consecutiveEmptyRounds = 0;
-            let noScrollProgress = 0;
-            
-            while (this.shouldContinue()) {
-                // Like all visible songs first
-                const likedCount = await this.likeVisibleSongs();
-                
-                if (likedCount === 0) {
-                    consecutiveEmptyRounds++;
-                    this.log(`No songs found to like (attempt ${consecutiveEmptyRounds}/5)`, 'debug');
-                    
-                    // Try scrolling to load more content
-                    const scrollResult = await this.scrollToLoadMore();
-                    
-                    if (!scrollResult) {
-                        noScrollProgress++;
-                        this.log(`No scroll progress (${noScrollProgress}/3)`, 'debug');
-                        
-                        if (noScrollProgress >= 3) {
-                            this.log('Unable to scroll further - likely reached end of playlist');
-                            break;
-                        }
-                    } else {
-                        noScrollProgress = 0; // Reset scroll progress counter
-                        this.log('Successfully scrolled and loaded more content', 'debug');
-                    }
-                    
-                    if (consecutiveEmptyRounds >= 5 && noScrollProgress >= 2) {
-                        this.log('No more songs to like found after multiple scroll attempts');
+            let stalledLoads = 0;
+
+            while (this.shouldContinue({ collecting: true })) {
+                await this.waitIfPaused();
+
+                this.scanVisibleTracks();
+                const load = await this.scrollToLoadMore();
+                this.scanVisibleTracks();
+
+                if (load.endOfPlaylist) {
+                    this.log('Reached the end of the playlist');
+                    this.lastCollectionComplete = true;
+                    break;
+                }
+
+                if (load.timedOut) {
+                    stalledLoads++;
+                    this.log(`No new rows loaded (${stalledLoads}/3)`, 'debug');
+                    if (stalledLoads >= 3) {
+                        this.log('Loading more rows keeps timing out - stopping collection here', 'warning');
                         break;
                     }
                 } else {
-                    // Reset counters when we successfully like songs
-                    consecutiveEmptyRounds = 0;
-                    noScrollProgress = 0;
-                    
-                    this.log(`Successfully liked ${likedCount} songs, scrolling for more...`, 'debug');
-                    
-                    // Always try to scroll to load more songs after liking
-                    await this.scrollToLoadMore();
+                    stalledLoads = 0;
+                    this.log(`Collected ${this.registry.size} tracks so far`, 'debug');
                 }
-                
-                // Wait before next cycle (shorter delay since we have better logic now)
-                await this.delay(this.config.scrollDelay / 2);
             }
-            
         } catch (error) {
-            this.log(`Unexpected error: ${error.message}`, 'error');
+            this.log(`Unexpected error while collecting tracks: ${error.message}`, 'error');
         } finally {
             this.isRunning = false;
-            this.showFinalStats();
+            this.pageType = null;
+        }
+
+        if (this.shouldStop) {
+            this.log(`Collection stopped early - only ${this.registry.size} tracks collected`, 'warning');
         }
+
+        return this.registry.all().sort((a, b) => a.rowIndex - b.rowIndex);
     }
 
-    // Stop the script
-    stop() {
-        if (!this.isRunning) {
-            this.log('Script is not currently running', 'warning');
-            return;
+    // Playlist name from the page header, falling back to the document title
+    getPlaylistTitle() {
+        const titleElement = this.document.querySelector('ytmusic-responsive-header-renderer h1') ||
+                             this.document.querySelector('ytmusic-detail-header-renderer h2') ||
+                             this.document.querySelector('ytmusic-detail-header-renderer .title');
+        const title = titleElement ? titleElement.textContent.trim() : '';
+        return title || this.document.title.replace(/\s*-\s*YouTube Music\s*$/, '').trim() || 'YouTube Music playlist';
+    }
+
+    // Collect the whole playlist and download it as 'csv', 'json' or 'm3u' (nothing is liked)
+    async exportPlaylist(format = 'csv') {
+        const formats = {
+            csv: { extension: 'csv', mimeType: 'text/csv', build: tracks => this.toCSV(tracks) },
+            json: { extension: 'json', mimeType: 'application/json', build: tracks => this.toJSON(tracks) },
+            m3u: { extension: 'm3u', mimeType: 'audio/x-mpegurl', build: tracks => this.toM3U(tracks) }
+        };
+
+        const exporter = formats[String(format).toLowerCase()];
+        if (!exporter) {
+            this.log(`Unknown export format "${format}". Use one of: ${Object.keys(formats).join(', ')}`, 'error');
+            return null;
         }
-        
-        this.shouldStop = true;
-        this.log('Stopping script...', 'warning');
+
+        const tracks = await this.collectAllTracks();
+        if (!tracks) return null;
+
+        const content = exporter.build(tracks);
+        const date = new Date(this.clock.now()).toISOString().slice(0, 10);
+        const filename = `${this.getPlaylistId() || 'playlist'}-${date}.${exporter.extension}`;
+
+        this.downloadFile(content, filename, exporter.mimeType);
+        this.log(`📤 Exported ${tracks.length} tracks to ${filename}`, 'success');
+
+        return { format: exporter.extension, filename, trackCount: tracks.length, content };
+    }
+
+    // Flat per-track fields shared by every export format
+    getExportRow(track) {
+        return {
+            position: track.rowIndex + 1,
+            title: track.title,
+            artists: track.artists.join(', '),
+            album: track.album || '',
+            duration: track.durationText,
+            durationSeconds: track.duration,
+            explicit: track.explicit,
+            videoId: track.videoId || '',
+            url: track.url || '',
+            likeState: track.likeState
+        };
+    }
+
+    toCSV(tracks) {
+        const rows = tracks.map(track => this.getExportRow(track));
+        const headers = ['position', 'title', 'artists', 'album', 'duration', 'durationSeconds', 'explicit', 'videoId', 'url', 'likeState'];
+        const escape = value => `"${String(value === null || value === undefined ? '' : value).replace(/"/g, '""')}"`;
+
+        return [
+            headers.join(','),
+            ...rows.map(row => headers.map(header => escape(row[header])).join(','))
+        ].join('\r\n');
+    }
+
+    toJSON(tracks) {
+        return JSON.stringify({
+            playlistId: this.getPlaylistId(),
+            title: this.getPlaylistTitle(),
+            exportedAt: new Date(this.clock.now()).toISOString(),
+            trackCount: tracks.length,
+            tracks: tracks.map(track => this.getExportRow(track))
+        }, null, 2);
+    }
+
+    // Extended M3U; tracks without a watch URL (e.g. unavailable ones) can't be listed
+    toM3U(tracks) {
+        const lines = ['#EXTM3U', `#PLAYLIST:${this.getPlaylistTitle()}`];
+
+        tracks.filter(track => track.url).forEach(track => {
+            const name = track.artists.length > 0 ? `${track.artists.join(', ')} - ${track.title}` : track.title;
+            lines.push(`#EXTINF:${track.duration !== null ? track.duration : -1},${name}`);
+            lines.push(track.url);
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    // Save text content as a file through a temporary download link
+    downloadFile(content, filename, mimeType = 'text/plain') {
+        const blob = new this.window.Blob([content], { type: `${mimeType};charset=utf-8` });
+        const url = this.window.URL.createObjectURL(blob);
+        const link = this.document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+        this.document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        this.clock.setTimeout(() => this.window.URL.revokeObjectURL(url), 1000);
+    }
+
+    // Limit runs to tracks from an outside list: JSON, CSV (with a header row) or pasted lines of
+    // videoIds / watch URLs / "Artist - Title"
+    importTracks(input) {
+        try {
+            this.importList = ImportList.parse(input);
+        } catch (error) {
+            this.log(`Could not parse import list: ${error.message}`, 'error');
+            return null;
+        }
+
+        const byVideoId = this.importList.entries.filter(entry => entry.videoId).length;
+        this.log(`📋 Imported ${this.importList.size} tracks (${byVideoId} by videoId, ${this.importList.size - byVideoId} by artist/title)`);
+        return { total: this.importList.size, byVideoId, byArtistTitle: this.importList.size - byVideoId };
+    }
+
+    // Go back to acting on every song in the playlist
+    clearImport() {
+        this.importList = null;
+        this.log('Import list cleared');
+    }
+
+    // Which imported entries were found in the playlist and which never showed up
+    getImportReport() {
+        if (!this.importList) return null;
+
+        const describe = entry => entry.raw || entry.videoId;
+        const matched = this.importList.matched();
+        return {
+            total: this.importList.size,
+            found: matched.length,
+            // Each found entry with the playlist track it stands for, and what the run did with it
+            matches: matched.map(entry => ({
+                entry: describe(entry),
+                track: this.formatTrack(entry.matchedTrack),
+                videoId: entry.matchedTrack.videoId,
+                outcome: entry.matchedTrack.outcome || null
+            })),
+            notFound: this.importList.unmatched().map(describe)
+        };
+    }
+
+    // Show the floating control panel on the page
+    showPanel() {
+        this.panel.show();
+    }
+
+    hidePanel() {
+        this.panel.hide();
+    }
+
+    // Walk the whole playlist in dry-run mode and return what a real run would do
+    async preview() {
+        if (this.isRunning) {
+            this.log('Script is already running', 'warning');
+            return null;
+        }
+
+        const previous = { value: this.config.dryRun, source: this.configSources.dryRun };
+        if (!this.configure({ dryRun: true }, { persist: false }).ok) return null;
+
+        try {
+            await this.start();
+        } finally {
+            this.applyConfigValues({ dryRun: previous.value }, previous.source);
+        }
+
+        return this.getPreviewSummary();
+    }
+
+    // Summary of the last dry run: counts plus one table row per track
+    getPreviewSummary() {
+        const classification = {
+            'already-done': `already ${this.mode.pastTense}`,
+            'would-do': `would ${this.mode.verb}`,
+            'skipped': 'skipped'
+        };
+
+        const table = this.registry.all()
+            .sort((a, b) => a.rowIndex - b.rowIndex)
+            .map(track => ({
+                '#': track.rowIndex + 1,
+                title: track.title,
+                artists: track.artists.join(', '),
+                album: track.album || '',
+                duration: track.durationText,
+                videoId: track.videoId,
+                result: classification[track.outcome] || 'not processed',
+                reason: track.skipReason || ''
+            }));
+
+        return {
+            mode: this.config.mode,
+            totalTracks: this.registry.size,
+            alreadyDone: this.stats.alreadyDone,
+            wouldAct: this.stats.wouldAct,
+            skipped: this.stats.skipped,
+            skipReasons: { ...this.stats.skipReasons },
+            table,
+            printTable: () => this.logTable(`🔎 Preview of ${table.length} tracks:`, table)
+        };
     }
 
     // Get current status and statistics
     getStatus() {
-        const runtime = Math.round((Date.now() - this.stats.startTime) / 1000);
+        const runtime = Math.round(this.getActiveRuntime() / 1000);
+        const pausedNow = this.isPaused ? this.clock.now() - this.pausedAt : 0;
         return {
             isRunning: this.isRunning,
+            isPaused: this.isPaused,
+            pausedSeconds: Math.round((this.stats.pausedTime + pausedNow) / 1000),
+            watching: !!this.watcher,
+            batch: this.batch.items.length > 0 ? {
+                running: this.isBatchRunning,
+                ...this.getBatchReport().totals
+            } : null,
+            mode: this.modeName,
+            journal: this.journalSession ? {
+                id: this.journalSession.id,
+                actions: this.journalSession.entries.length
+            } : null,
+            pageType: this.pageType,
+            selectorProfile: this.getSelectorProfile().name,
             totalLiked: this.stats.totalLiked,
+            totalActions: this.stats.totalActions,
+            alreadyDone: this.stats.alreadyDone,
+            skipped: this.stats.skipped,
+            skipReasons: this.stats.skipReasons,
+            confirmed: this.stats.confirmed,
+            failed: this.stats.failed,
+            unverified: this.stats.unverified,
+            failedTracks: this.registry.withOutcome('failed').map(track => this.formatTrack(track)),
+            rateLimit: this.rateLimiter.getStatus(),
+            dryRun: this.config.dryRun,
+            wouldAct: this.stats.wouldAct,
+            uniqueTracksSeen: this.registry.size,
+            coverage: this.getCoverage(),
+            importList: this.getImportReport(),
+            session: this.session ? {
+                playlistId: this.session.playlistId,
+                processed: Object.keys(this.session.processed).length,
+                startedAt: this.session.startedAt
+            } : null,
+            processedTracks: this.registry.withOutcome('done').map(track => this.formatTrack(track)),
             scrollAttempts: this.stats.scrollAttempts,
             runtimeSeconds: runtime,
-            config: this.config
+            config: this.config,
+            playlistSettings: this.activeOverrides && this.activeOverrides.fromPlaylist ? this.activeOverrides.playlistId : null
         };
     }
 
-    // Show final statistics
-    showFinalStats() {
-        const runtime = Math.round((Date.now() - this.stats.startTime) / 1000);
+    // Show final statistics; endReason is how the run ended (see getRunResult())
+    showFinalStats(endReason = null) {
+        const runtime = Math.round(this.getActiveRuntime() / 1000);
+        const pausedSeconds = Math.round(this.stats.pausedTime / 1000);
+        const pausedNote = pausedSeconds > 0 ? ` (plus ${pausedSeconds}s paused)` : '';
         
-        console.log('\n' + '='.repeat(50));
+        if (this.config.dryRun) {
+            const summary = this.getPreviewSummary();
+
+            this.log('📊 === RUN SUMMARY ===');
+            this.log('🔎 Preview completed (dry run, nothing was clicked)', 'success');
+            this.log(`🎶 Tracks found: ${summary.totalTracks}`, 'info');
+            this.log(`❤️ Already ${this.mode.pastTense}: ${summary.alreadyDone}`, 'info');
+            this.log(`👍 Would ${this.mode.verb}: ${summary.wouldAct}`, 'info');
+            this.log(`⏭️ Skipped: ${summary.skipped}`, 'info');
+            Object.entries(summary.skipReasons).forEach(([reason, count]) => {
+                this.log(`   - ${reason}: ${count}`, 'info');
+            });
+            this.log(`⏱️ Runtime: ${runtime} seconds${pausedNote}`, 'info');
+            this.showCoverageReport(endReason);
+
+            summary.printTable();
+            this.showImportReport();
+            return;
+        }
+
+        this.log('📊 === RUN SUMMARY ===');
         this.log('🎉 Script completed!', 'success');
-        this.log(`📊 Total songs liked: ${this.stats.totalLiked}`, 'success');
-        this.log(`⏱️ Runtime: ${runtime} seconds`, 'info');
+        this.log(`📊 Total songs ${this.mode.pastTense}: ${this.stats.totalActions}`, 'success');
+        this.log(`🎶 Unique tracks seen: ${this.registry.size} (${this.stats.alreadyDone} already ${this.mode.pastTense}, ${this.stats.skipped} skipped)`, 'info');
+        Object.entries(this.stats.skipReasons).forEach(([reason, count]) => {
+            this.log(`   - skipped by ${reason}: ${count}`, 'info');
+        });
+        this.log(`⏱️ Runtime: ${runtime} seconds${pausedNote}`, 'info');
         this.log(`📜 Scroll attempts: ${this.stats.scrollAttempts}`, 'info');
-        console.log('='.repeat(50) + '\n');
+        this.showCoverageReport(endReason);
+
+        const processedTracks = this.registry.withOutcome('done');
+        if (processedTracks.length > 0) {
+            this.logTable(`${processedTracks.length} songs ${this.mode.pastTense}:`, processedTracks.map(track => ({
+                '#': track.rowIndex + 1,
+                title: track.title,
+                artists: track.artists.join(', '),
+                album: track.album || '',
+                duration: track.durationText,
+                videoId: track.videoId
+            })));
+        }
+
+        this.showImportReport();
+
+        this.log(`🔎 Click results: ${this.stats.confirmed} confirmed, ${this.stats.unverified} unconfirmed, ${this.stats.failed} failed`, 'info');
+        const rateLimit = this.rateLimiter.getStatus();
+        if (this.config.dailyCap) {
+            this.log(`🚦 Daily quota: ${rateLimit.usedToday}/${this.config.dailyCap} actions used today`, 'info');
+        }
+        const failedTracks = this.registry.withOutcome('failed');
+        if (failedTracks.length > 0) {
+            this.logTable(`${failedTracks.length} tracks failed:`, failedTracks.map(track => ({
+                '#': track.rowIndex + 1,
+                title: track.title,
+                artists: track.artists.join(', '),
+                videoId: track.videoId,
+                reason: track.failReason
+            })), 'warning');
+            this.log('💡 Retry them with: autoLiker.retryFailed()', 'info');
+        }
         
-        if (this.stats.totalLiked > 0) {
-            this.log('All done! Your playlist songs have been liked! ❤️', 'success');
+        if (this.stats.totalActions > 0) {
+            this.log(this.modeName === 'like'
+                ? 'All done! Your playlist songs have been liked! ❤️'
+                : `All done! ${this.stats.totalActions} songs ${this.mode.pastTense}.`, 'success');
+        } else {
+            this.log(`No songs were ${this.mode.pastTense}. They might already be ${this.mode.pastTense} or the playlist might be empty.`, 'info');
+        }
+    }
+
+    // Print which imported entries were never found in the playlist
+    showImportReport() {
+        const report = this.getImportReport();
+        if (!report) return;
+
+        const found = `📋 Import list: ${report.found}/${report.total} entries found in the playlist`;
+        if (report.matches.length > 0) {
+            this.logTable(`${found}:`, report.matches.map(({ entry, track, videoId, outcome }) => ({ entry, track, videoId, outcome: outcome || '' })));
+        } else {
+            this.log(found);
+        }
+        if (report.notFound.length > 0) {
+            this.logTable(`${report.notFound.length} imported entries were never found:`, report.notFound.map(entry => ({ entry })), 'warning');
+        }
+    }
+
+    // Print how many of the declared tracks were seen, and warn when the run ended before the end of the list
+    showCoverageReport(endReason) {
+        // A retry only looks at the failed tracks, so the rest of the list was never meant to be seen
+        if (this.retryOnly) return;
+
+        const coverage = this.getCoverage();
+        if (coverage.declaredTracks === null) {
+            this.log(`📏 Coverage: ${coverage.seen} tracks seen (the page doesn't declare a track count)`, 'info');
         } else {
-            this.log('No songs were liked. They might already be liked or the playlist might be empty.', 'info');
+            this.log(`📏 Coverage: ${coverage.seen}/${coverage.declaredTracks} declared tracks seen (${Math.round(coverage.ratio * 100)}%)`, 'info');
+        }
+        if (coverage.unavailable > 0) {
+            this.log(`   - unavailable (greyed out): ${coverage.unavailable}`, 'info');
+        }
+        if (coverage.declaredDuration !== null) {
+            this.log(`   - duration: ${this.formatLength(coverage.seenDuration)} of ${coverage.durationApproximate ? 'at least ' : ''}${this.formatLength(coverage.declaredDuration)}`, 'info');
+        }
+
+        if (endReason && endReason !== 'completed') {
+            const missing = coverage.missing ? `: ${coverage.missing} declared tracks were never reached` : '';
+            this.log(`The run ended early (${endReason})${missing}`, 'warning', { coverage });
+        } else if (coverage.missing) {
+            this.log(`Reached the end of the list, but ${coverage.missing} declared tracks never showed up. YouTube Music counts hidden unavailable tracks in the header too.`, 'warning', { coverage });
         }
     }
 
@@ -476,18 +5351,100 @@ class YouTubeMusicAutoLike {
     getRandomLikeDelay() {
         const min = this.config.likeDelayMin;
         const max = this.config.likeDelayMax;
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+        return Math.floor(this.random() * (max - min + 1)) + min;
     }
 
-    // Utility method for delays
+    // Utility method for delays; paused time doesn't count towards the delay and stop() cuts it short
     delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+        return new Promise(resolve => {
+            let remaining = ms;
+            let last = this.clock.now();
+
+            const tick = () => {
+                const now = this.clock.now();
+                if (!this.isPaused) {
+                    remaining -= now - last;
+                }
+                last = now;
+
+                if (remaining <= 0 || this.shouldStop) {
+                    resolve();
+                } else {
+                    this.clock.setTimeout(tick, Math.min(remaining, 250));
+                }
+            };
+
+            this.clock.setTimeout(tick, Math.min(ms, 250));
+        });
+    }
+
+    // Check the selector profiles against the current page: which profiles' labels match the
+    // buttons on screen, and which selectors of the active profile find nothing
+    selfTest() {
+        if (!this.isRunning) {
+            this.activeProfile = null;
+        }
+        const profile = this.getSelectorProfile();
+        const pageLang = this.document.documentElement.lang || '';
+        const count = selector => {
+            try {
+                return this.document.querySelectorAll(selector).length;
+            } catch (error) {
+                return -1;
+            }
+        };
+
+        // A profile matches when any of its labels is on a button of the page
+        const labelSelectors = candidate => [
+            ...[...candidate.labels.like, ...candidate.labels.dislike].map(label => `[aria-label="${SelectorProfiles.quote(label)}"]`),
+            ...[...candidate.labels.liked, ...candidate.labels.disliked].map(label => `[aria-label*="${SelectorProfiles.quote(label)}"]`)
+        ];
+        const matchingProfiles = this.profiles.all()
+            .filter(candidate => labelSelectors(candidate).some(selector => count(selector) > 0))
+            .map(candidate => candidate.name);
+
+        const groups = [['rows', [BASE_SELECTORS.rows]], ...Object.entries(profile.selectors)];
+        const results = [];
+        groups.forEach(([group, selectors]) => {
+            selectors.forEach(selector => results.push({ group, selector, matches: count(selector) }));
+        });
+
+        // Rows and their like buttons are required; the other groups only matter on some pages
+        const groupMatched = group => results.some(result => result.group === group && result.matches > 0);
+        const failedGroups = groups.map(([group]) => group).filter(group => !groupMatched(group));
+        const ok = groupMatched('rows') && groupMatched('rowLikeButton') && matchingProfiles.includes(profile.name);
+
+        const report = {
+            pageLang,
+            profile: profile.name,
+            matchingProfiles,
+            ok,
+            failedGroups,
+            failedSelectors: results.filter(result => result.matches <= 0).map(result => `${result.group}: ${result.selector}`),
+            results
+        };
+
+        this.log('🧪 === SELECTOR SELF-TEST ===');
+        this.log(`🌐 Page language: ${pageLang || 'not set'}`);
+        this.log(`📐 Active profile: "${profile.name}"`);
+        this.logTable(`🏷️ Profiles whose labels match this page: ${matchingProfiles.length ? matchingProfiles.join(', ') : 'none'}`, results);
+        if (failedGroups.length > 0) {
+            this.log(`No selector matched for: ${failedGroups.join(', ')}`, 'warning');
+        }
+        if (ok) {
+            this.log(`Profile "${profile.name}" works on this page`, 'success');
+        } else if (matchingProfiles.length > 0 && !matchingProfiles.includes(profile.name)) {
+            this.log(`The labels of "${profile.name}" were not found. Try: autoLiker.useProfile('${matchingProfiles[0]}')`, 'warning');
+        } else {
+            this.log('No profile matches this page. Register one with autoLiker.registerProfile({ name, extends, lang, labels, selectors })', 'warning');
+        }
+
+        return report;
     }
 
     // Debug method to analyze current page structure
     debugPageStructure() {
-        console.log('\n🔍 YouTube Music Page Structure Analysis:');
-        console.log('==========================================');
+        this.log('🔍 === PAGE STRUCTURE ANALYSIS ===');
         
         // Check for main containers
         const containers = [
@@ -500,33 +5457,31 @@ class YouTubeMusicAutoLike {
         ];
         
         containers.forEach(selector => {
-            const element = document.querySelector(selector);
+            const element = this.document.querySelector(selector);
             if (element) {
-                console.log(`✓ Found: ${selector}`);
-                console.log(`  - scrollHeight: ${element.scrollHeight}px`);
-                console.log(`  - clientHeight: ${element.clientHeight}px`);
-                console.log(`  - scrollTop: ${element.scrollTop}px`);
-                console.log(`  - isScrollable: ${element.scrollHeight > element.clientHeight}`);
+                this.log(`✓ Found: ${selector}`);
+                this.log(`  - scrollHeight: ${element.scrollHeight}px`);
+                this.log(`  - clientHeight: ${element.clientHeight}px`);
+                this.log(`  - scrollTop: ${element.scrollTop}px`);
+                this.log(`  - isScrollable: ${element.scrollHeight > element.clientHeight}`);
             } else {
-                console.log(`✗ Not found: ${selector}`);
+                this.log(`✗ Not found: ${selector}`);
             }
         });
         
         // Check song items
-        const songItems = document.querySelectorAll('ytmusic-responsive-list-item-renderer');
-        console.log(`\n📄 Song items found: ${songItems.length}`);
+        const songItems = this.document.querySelectorAll('ytmusic-responsive-list-item-renderer');
+        this.log(`📄 Song items found: ${songItems.length}`);
         
         // Check like buttons
         const likeButtons = this.getLikeButtons();
-        console.log(`❤️ Unliked songs: ${likeButtons.length}`);
-        
-        console.log('==========================================\n');
+        this.log(`❤️ Unliked songs: ${likeButtons.length}`);
         
         return {
             containers: containers.map(selector => ({
                 selector,
-                found: !!document.querySelector(selector),
-                element: document.querySelector(selector)
+                found: !!this.document.querySelector(selector),
+                element: this.document.querySelector(selector)
             })),
             songCount: songItems.length,
             likeButtonCount: likeButtons.length
@@ -535,8 +5490,7 @@ class YouTubeMusicAutoLike {
 
     // Debug method to analyze like buttons specifically
     debugLikeButtons() {
-        console.log('\n❤️ Like Button Analysis:');
-        console.log('========================');
+        this.log('❤️ === LIKE BUTTON ANALYSIS ===');
         
         // Check all possible button types
         const buttonTypes = [
@@ -547,31 +5501,29 @@ class YouTubeMusicAutoLike {
         ];
         
         buttonTypes.forEach(type => {
-            const buttons = document.querySelectorAll(type);
-            console.log(`${type}: ${buttons.length} found`);
+            const buttons = this.document.querySelectorAll(type);
+            this.log(`${type}: ${buttons.length} found`);
         });
         
         // Look for buttons with "like" in attributes
-        const likeRelated = document.querySelectorAll('[aria-label*="Like"], [title*="Like"], [aria-label*="like"], [title*="like"]');
-        console.log(`\nButtons with "like" in attributes: ${likeRelated.length}`);
+        const likeRelated = this.document.querySelectorAll('[aria-label*="Like"], [title*="Like"], [aria-label*="like"], [title*="like"]');
+        this.log(`Buttons with "like" in attributes: ${likeRelated.length}`);
         
         // Sample the first few like-related buttons
         Array.from(likeRelated).slice(0, 10).forEach((btn, i) => {
-            console.log(`  ${i}: aria-label="${btn.getAttribute('aria-label')}", title="${btn.getAttribute('title')}", pressed="${btn.getAttribute('aria-pressed')}"`);
+            this.log(`  ${i}: aria-label="${btn.getAttribute('aria-label')}", title="${btn.getAttribute('title')}", pressed="${btn.getAttribute('aria-pressed')}"`);
         });
         
         // Test current detection
         const detectedButtons = this.getLikeButtons();
-        console.log(`\n✓ Currently detected unliked buttons: ${detectedButtons.length}`);
+        this.log(`✓ Currently detected unliked buttons: ${detectedButtons.length}`);
         
         // Show song containers
-        const songContainers = document.querySelectorAll('ytmusic-responsive-list-item-renderer');
-        console.log(`📄 Song containers: ${songContainers.length}`);
-        
-        console.log('========================\n');
+        const songContainers = this.document.querySelectorAll('ytmusic-responsive-list-item-renderer');
+        this.log(`📄 Song containers: ${songContainers.length}`);
         
         return {
-            totalButtons: document.querySelectorAll('button, tp-yt-paper-icon-button, yt-icon-button').length,
+            totalButtons: this.document.querySelectorAll('button, tp-yt-paper-icon-button, yt-icon-button').length,
             likeRelatedButtons: likeRelated.length,
             detectedLikeButtons: detectedButtons.length,
             songContainers: songContainers.length
@@ -580,28 +5532,93 @@ class YouTubeMusicAutoLike {
 }
 
 // Initialize and start the auto-liker
-console.log('🎵 YouTube Music Auto-Like Script Loaded');
-console.log('📋 Creating auto-liker with default settings...');
-
-const autoLiker = new YouTubeMusicAutoLike({
-    likeDelayMin: 1200,   // Minimum 1.2 seconds between likes
-    likeDelayMax: 2300,   // Maximum 2.3 seconds between likes
-    scrollDelay: 3000,    // 3 seconds between scroll cycles (reduced for better performance)
-    scrollDistance: 600,  // Scroll 600px at a time (optimized for YouTube Music)
-    loadWaitTime: 4000,   // Wait 4 seconds for content to load after scrolling (increased for YouTube Music)
-    maxScrollAttempts: 75, // Maximum 75 scroll attempts (increased due to better detection)
-    verbose: true         // Enable detailed logging
-});
-
-// Start the process
-autoLiker.start();
-
-// Usage instructions
-console.log('\n💡 CONTROLS:');
-console.log('• To stop the script: autoLiker.stop()');
-console.log('• To check status: autoLiker.getStatus()');  
-console.log('• To start again: autoLiker.start()');
-console.log('• To test scrolling: autoLiker.scrollToLoadMore()');
-console.log('• To like visible songs: autoLiker.likeVisibleSongs()');
-console.log('• To debug page structure: autoLiker.debugPageStructure()');
-console.log('• To debug like buttons: autoLiker.debugLikeButtons()'); 
\ No newline at end of file
+// Under Node (require) only the building blocks are exported; in the browser console the script runs right away
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        YouTubeMusicAutoLike,
+        SYSTEM_CLOCK,
+        resolveEnvironment,
+        ACTION_MODES,
+        LOG_LEVELS,
+        RUN_EVENTS,
+        LOCALE_PROFILES,
+        PAGE_TYPES,
+        SelectorProfiles,
+        TrackRegistry,
+        TrackFilter,
+        ImportList,
+        RateLimiter,
+        CONFIG_SCHEMA,
+        CONFIG_PRESETS,
+        ConfigStore,
+        SingleKeyStore,
+        PrefixedStore,
+        SessionStore,
+        PlaylistSnapshots,
+        BatchQueue,
+        WatchList,
+        RunLog,
+        EventEmitter
+    };
+} else {
+    console.log('🎵 YouTube Music Auto-Like Script Loaded');
+    console.log('📋 Creating auto-liker with your saved settings (the "normal" preset until you change them)...');
+
+    // Settings come from CONFIG_SCHEMA, the chosen preset and whatever autoLiker.configure() saved;
+    // options passed here would win over the saved ones every time the script is pasted
+    const autoLiker = new YouTubeMusicAutoLike();
+    // The commands printed below are typed at console level, where this block's constant can't be reached
+    window.autoLiker = autoLiker;
+
+    // Show the on-page controls
+    autoLiker.showPanel();
+
+    // Start the process, unless watch mode is on or an interrupted run or batch can be picked up instead
+    if (autoLiker.watchList.enabled) {
+        // Watch mode starts runs by itself on allow-listed playlists
+        autoLiker.watch();
+    } else if (autoLiker.hasPendingBatch()) {
+        console.log('📚 Found an unfinished batch of playlists.');
+        console.log('• To continue with the next playlist: autoLiker.resumeBatch()');
+        console.log('• To drop it: autoLiker.clearBatch()');
+    } else if (autoLiker.hasResumableSession()) {
+        console.log('⏸️ Found an unfinished run for this playlist.');
+        console.log('• To continue where it stopped: autoLiker.resume()');
+        console.log('• To start over from the top: autoLiker.start()');
+    } else {
+        autoLiker.start();
+    }
+
+    // Usage instructions
+    console.log('\n💡 CONTROLS:');
+    console.log('• To stop the script: autoLiker.stop()');
+    console.log('• To pause / continue: autoLiker.pause() / autoLiker.resume()');
+    console.log('• To check status: autoLiker.getStatus()');  
+    console.log('• To show / hide the control panel: autoLiker.showPanel() / autoLiker.hidePanel()');
+    console.log('• To start again: autoLiker.start()');
+    console.log('• To preview without liking: autoLiker.preview()');
+    console.log("• To export the playlist: autoLiker.exportPlaylist('csv' | 'json' | 'm3u')");
+    console.log('• To like only tracks from a list: autoLiker.importTracks(textOrJson)');
+    console.log('• To retry tracks whose click failed: autoLiker.retryFailed()');
+    console.log('• To undo the last run on this page / the last 10 changes: autoLiker.undo() / autoLiker.undo(10)');
+    console.log("• To list journaled runs / undo one of them: autoLiker.listJournals() / autoLiker.undo('<id>')");
+    console.log('• To see what changed since the last run / snapshot the list now: autoLiker.diff() / autoLiker.takeSnapshot()');
+    console.log("• To change and save settings: autoLiker.configure({ preset: 'cautious', likeDelayMin: 0 }) / autoLiker.showConfig()");
+    console.log("• To give this playlist its own settings / drop them: autoLiker.configure({ mode: 'dislike' }, { playlist: true }) / autoLiker.resetConfig({ playlist: true })");
+    console.log('• To resume after a reload: autoLiker.resume()');
+    console.log('• To list / clear saved sessions: autoLiker.listSessions() / autoLiker.clearSessions()');
+    console.log("• To process several playlists: autoLiker.runBatch(['PL...', 'https://music.youtube.com/playlist?list=PL...'])");
+    console.log('• To continue / drop a stopped batch: autoLiker.resumeBatch() / autoLiker.clearBatch()');
+    console.log('• To run by itself on this playlist: autoLiker.allowPlaylist() then autoLiker.watch()');
+    console.log('• To stop watching / remove this playlist: autoLiker.unwatch() / autoLiker.disallowPlaylist()');
+    console.log("• To switch mode: autoLiker.setMode('unlike' | 'dislike' | 'clear-rating' | 'like')");
+    console.log("• To add songs to a playlist / the library / the queue: autoLiker.setMode('add-to-playlist', 'Road trip') / setMode('save-to-library') / setMode('add-to-queue')");
+    console.log("• To check the selectors / pick a language profile: autoLiker.selfTest() / autoLiker.useProfile('de')");
+    console.log('• To add a profile for another UI language: autoLiker.registerProfile({ name, extends, lang, labels })');
+    console.log('• To test scrolling: autoLiker.scrollToLoadMore()');
+    console.log('• To like visible songs: autoLiker.likeVisibleSongs()');
+    console.log("• To save the run log: autoLiker.downloadLog('json' | 'text')");
+    console.log("• To change how much is logged: autoLiker.setLogLevel('debug' | 'info' | 'warning' | 'error')");
+    console.log('• To debug page structure: autoLiker.debugPageStructure()');
+    console.log('• To debug like buttons: autoLiker.debugLikeButtons()'); 
+}